@@ -0,0 +1,57 @@
+// migrate-to-sqlite.js
+// Import an existing db.json into the SQLite backend (see server-storage.js).
+//   npm run migrate:sqlite                 DATA_DIR/db.json -> DATA_DIR/snoot.db
+//   npm run migrate:sqlite -- --force      replace a SQLite database that already has data
+// Stop the server first. db.json is left in place as a backup; once the import
+// checks out, start the server with STORAGE=sqlite.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openStorage } from './server-storage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const force = process.argv.includes('--force');
+
+const jsonFile = path.join(DATA_DIR, 'db.json');
+const sqliteFile = path.join(DATA_DIR, 'snoot.db');
+
+if (!fs.existsSync(jsonFile)) {
+  console.error(`Nothing to import: ${jsonFile} not found`);
+  process.exit(1);
+}
+if (fs.existsSync(sqliteFile)) {
+  if (!force) {
+    console.error(`${sqliteFile} already exists; pass --force to replace it`);
+    process.exit(1);
+  }
+  for (const f of [sqliteFile, `${sqliteFile}-wal`, `${sqliteFile}-shm`]) fs.rmSync(f, { force: true });
+}
+
+const source = await openStorage({ type: 'json', dir: DATA_DIR });
+// Opening SQLite next to a db.json normally refuses (so a fresh empty DB isn't used by
+// mistake); import through a temp directory and move the file into place afterwards
+const tmpDir = fs.mkdtempSync(path.join(DATA_DIR, '.migrate-'));
+try {
+  const target = await openStorage({ type: 'sqlite', dir: tmpDir });
+  Object.assign(target.data, source.data);
+  await target.close();
+
+  const check = await openStorage({ type: 'sqlite', dir: tmpDir });
+  const problems = [];
+  for (const [name, value] of Object.entries(source.data)) {
+    if (JSON.stringify(check.data[name]) !== JSON.stringify(value)) problems.push(name);
+  }
+  await check.close({ save: false });
+  if (problems.length) throw new Error(`imported data differs in: ${problems.join(', ')}`);
+
+  fs.renameSync(path.join(tmpDir, 'snoot.db'), sqliteFile);
+  for (const [name, value] of Object.entries(source.data)) {
+    console.log(`  ${name.padEnd(16)} ${Array.isArray(value) ? value.length : 1}`);
+  }
+  console.log(`Imported ${jsonFile} -> ${sqliteFile}. Start the server with STORAGE=sqlite.`);
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  await source.close({ save: false });
+}
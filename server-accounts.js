@@ -0,0 +1,197 @@
+// server-accounts.js
+// Email/password account upkeep shared by the /addons/auth routes and /me:
+// email verification, password reset, setting a password on an SMS-only
+// account and linking an email address to an existing member.
+//
+// Links carry single-use, expiring tokens; only their hashes are stored, in
+// db.data.authTokens:
+//   { id, purpose: 'verify'|'reset', memberId, email, tokenHash, expMs, createdAt }
+// A verify token carries the address it was sent to, so confirming it also
+// links that address (member.email) and sets member.emailVerifiedAt.
+// An address belongs to a member once it's verified or is their password
+// login; an unproven address on some other record (older data) blocks nobody
+// and is dropped from that record when the real owner links or registers it.
+
+import crypto from 'node:crypto';
+import bcrypt from 'bcryptjs';
+import { nanoid } from 'nanoid';
+import { hashToken } from './server-sessions.js';
+
+const HOUR = 60 * 60 * 1000;
+export const MIN_PASSWORD = 8;
+
+export const cleanEmail = (email) => String(email || '').trim().toLowerCase();
+const validEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * @param {{
+ *   db: any,
+ *   mailer: ReturnType<typeof import('./server-mailer.js').createMailer>,
+ *   linkBase?: string,        // links look like `${linkBase}/verify-email?token=...`; empty = token only
+ *   verifyTtlMs?: number,
+ *   resetTtlMs?: number,
+ *   signOutEverywhere?: (member: any) => Promise<void>,  // after a password reset
+ * }} opts
+ */
+export function createAccounts({ db, mailer, linkBase = '', verifyTtlMs = 48 * HOUR, resetTtlMs = HOUR, signOutEverywhere = async () => {} }) {
+  const tokens = () => (db.data.authTokens ||= []);
+  const members = () => db.data.members || [];
+  const owns = (m) => !!(m.emailVerifiedAt || m.passwordHash);
+
+  /**
+   * The member an address belongs to (verified, or their password login), if any.
+   */
+  function ownerOf(email, exceptId) {
+    const to = cleanEmail(email);
+    return members().find(m => m.id !== exceptId && cleanEmail(m.email) === to && owns(m));
+  }
+
+  // Clear `email` from records that hold it without owning it. Caller persists.
+  function release(email, exceptId) {
+    const to = cleanEmail(email);
+    for (const m of members()) {
+      if (m.id !== exceptId && cleanEmail(m.email) === to && !owns(m)) m.email = '';
+    }
+  }
+
+  // New token for (member, purpose); older ones for the same purpose stop working. Caller persists.
+  function issue(member, purpose, email) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    db.data.authTokens = tokens().filter(t => !(t.memberId === member.id && t.purpose === purpose) && t.expMs > now);
+    tokens().push({
+      id: nanoid(), purpose, memberId: member.id, email,
+      tokenHash: hashToken(token), expMs: now + (purpose === 'reset' ? resetTtlMs : verifyTtlMs), createdAt: now,
+    });
+    return token;
+  }
+
+  // Use up a token. Caller persists.
+  function take(token, purpose) {
+    const hash = hashToken(String(token || '').trim());
+    const entry = tokens().find(t => t.tokenHash === hash && t.purpose === purpose);
+    if (entry) db.data.authTokens = tokens().filter(t => t !== entry);
+    if (!entry || entry.expMs <= Date.now()) return { ok: false, status: 400, error: 'link is invalid or has expired' };
+    const member = members().find(m => m.id === entry.memberId);
+    if (!member) return { ok: false, status: 400, error: 'link is invalid or has expired' };
+    return { ok: true, entry, member };
+  }
+
+  const link = (page, token) => (linkBase ? `${linkBase}/${page}?token=${token}` : null);
+
+  function checkPassword(password) {
+    if (String(password || '').length < MIN_PASSWORD) return { ok: false, status: 400, error: `password must be at least ${MIN_PASSWORD} characters` };
+    return null;
+  }
+
+  /**
+   * Email a verification link to `email` (default: the member's current address).
+   * Sending to a new address is how an email gets linked to a member. Persists.
+   */
+  async function sendVerification(member, email = member.email) {
+    const to = cleanEmail(email);
+    if (!to || !validEmail(to)) return { ok: false, status: 400, error: 'valid email required' };
+    await db.read();
+    const m = members().find(x => x.id === member.id);
+    if (!m) return { ok: false, status: 404, error: 'member not found' };
+    if (ownerOf(to, m.id)) return { ok: false, status: 409, error: 'email belongs to another account' };
+    if (cleanEmail(m.email) === to && m.emailVerifiedAt) return { ok: true, alreadyVerified: true };
+
+    const token = issue(m, 'verify', to);
+    await db.write();
+    const url = link('verify-email', token);
+    try {
+      await mailer.send({
+        to,
+        subject: 'Confirm your email for Snoot Club',
+        text: `Confirm this address for your Snoot Club account${url ? `:\n\n${url}\n\nOr enter this code in the app` : ' by entering this code in the app'}:\n\n${token}\n\nThe link expires in ${Math.round(verifyTtlMs / HOUR)} hours. If you didn't ask for this, ignore this email.`,
+      });
+    } catch (e) {
+      console.error('mail error', e?.message || e);
+      return { ok: false, status: 503, error: 'could not send email' };
+    }
+    return { ok: true, sentTo: to };
+  }
+
+  /**
+   * Confirm a verification token: sets (links) member.email and emailVerifiedAt. Persists.
+   */
+  async function confirmEmail(token) {
+    await db.read();
+    const r = take(token, 'verify');
+    if (!r.ok) { await db.write(); return r; }
+    const { entry, member } = r;
+    if (ownerOf(entry.email, member.id)) {
+      await db.write();
+      return { ok: false, status: 409, error: 'email belongs to another account' };
+    }
+    release(entry.email, member.id);
+    member.email = entry.email;
+    member.emailVerifiedAt = Date.now();
+    await db.write();
+    return { ok: true, member };
+  }
+
+  /**
+   * Start a password reset. Always "succeeds" so the response doesn't reveal
+   * which addresses have accounts. Only addresses the member proved (verified)
+   * or registered a password with get a link. Persists.
+   */
+  async function requestReset(email) {
+    const to = cleanEmail(email);
+    await db.read();
+    const m = to && ownerOf(to);
+    if (!m || m.status !== 'approved') return { ok: true };
+    const token = issue(m, 'reset', to);
+    await db.write();
+    const url = link('reset-password', token);
+    try {
+      await mailer.send({
+        to,
+        subject: 'Reset your Snoot Club password',
+        text: `Someone asked to reset the password for your Snoot Club account${url ? `. Choose a new one here:\n\n${url}\n\nOr enter this code in the app` : '. Enter this code in the app to choose a new one'}:\n\n${token}\n\nThe link expires in ${Math.round(resetTtlMs / 60000)} minutes and works once. If it wasn't you, ignore this email.`,
+      });
+    } catch (e) {
+      console.error('mail error', e?.message || e);
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Finish a reset: new password, email counts as verified, every session signed out. Persists.
+   */
+  async function resetPassword(token, password) {
+    const bad = checkPassword(password);
+    if (bad) return bad;
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    await db.read();
+    const r = take(token, 'reset');
+    if (!r.ok) { await db.write(); return r; }
+    const { member } = r;
+    member.passwordHash = passwordHash;
+    member.emailVerifiedAt ||= Date.now(); // they just read mail sent there
+    await db.write();
+    await signOutEverywhere(member);
+    return { ok: true, member };
+  }
+
+  /**
+   * Add a password to an account (e.g. one that signed up by SMS) or change it.
+   * Changing needs the current password. Caller persists.
+   */
+  async function setPassword(member, password, currentPassword) {
+    // Email is the login name, so it must be proven before it can carry a password
+    if (!member.email || (!member.passwordHash && !member.emailVerifiedAt)) {
+      return { ok: false, status: 400, error: 'verify an email first (POST /me/email)' };
+    }
+    const bad = checkPassword(password);
+    if (bad) return bad;
+    if (member.passwordHash && !(await bcrypt.compare(String(currentPassword || ''), member.passwordHash))) {
+      return { ok: false, status: 403, error: 'current password is wrong' };
+    }
+    member.passwordHash = await bcrypt.hash(String(password), 10);
+    return { ok: true };
+  }
+
+  return { sendVerification, confirmEmail, requestReset, resetPassword, setPassword, validEmail, ownerOf, release };
+}
@@ -1,123 +1,237 @@
 // server-addons-auth-chat.js — Email/password auth (+ optional /addons/chat endpoints)
-// Requires: npm i bcryptjs jsonwebtoken
+// Requires: npm i bcryptjs
 
 import express from 'express';
 import bodyParser from 'body-parser';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import { rateLimit, tooManyRequests } from './server-ratelimit.js';
+import { cleanEmail as normalizeEmail } from './server-accounts.js';
+import { createApi, t } from './server-api.js';
+import * as S from './server-api-schemas.js';
 
 export default function createAuthChat(opts = {}) {
   const {
-    store,           // { read, write, getMembers, setMembers, getMessages, setMessages }
-    adminPin,
-    jwtSecret = 'dev',
-    io,              // socket.io server (optional, used to broadcast /addons/chat sends)
+    store,           // { read, write, getMembers, setMembers, findMemberByEmail? }
+    isAdminReq = () => false, // (req) => boolean — main server's admin check (bootstrap PIN)
+    memberByToken,   // (token) => Promise<member|null> — shared session lookup
+    startSession,    // (req, member, method) => { token, refreshToken, expiresAt, sessionId }
+    limits,          // shared limiters from createRateLimits() (registerIp, loginIp, loginEmail)
+    registration = { // main server's sign-up policy: { check(inviteCode), admit(member, invite) }
+      check: () => ({ ok: true, invite: null }),
+      admit: (member) => { member.status = 'pending'; },
+    },
+    accounts,        // email verification / password reset (server-accounts.js)
+    chat,            // chat rooms service (server-chat.js) — same rules/delivery as the main chat
+    api = createApi({ title: 'Snoot Club add-ons', version: '1', components: S.COMPONENTS }), // main server's API (server-api.js), for one OpenAPI document
     twilio           // { client, from } (optional – reserved for later)
   } = opts;
 
   const router = express.Router();
   router.use(bodyParser.json());
-
-  // ---- Helpers ----
-  function signToken(member) {
-    return jwt.sign({ sub: member.id, email: member.email }, jwtSecret, { expiresIn: '30d' });
-  }
-  function isAdminReq(req) {
-    const pin = (req.headers['x-admin-pin'] || req.query.pin || '').toString().trim();
-    return pin && pin === adminPin;
-  }
+  const routes = api.routes(router, '/addons');
+  const memberSummary = t.object({ id: t.string(), name: t.string(), email: t.string() });
 
   // ---- Auth: register/login with email/password ----
-  router.post('/auth/register', async (req, res) => {
-    const { email = '', password = '', name = '' } = req.body || {};
+  const byIp = (req) => req.ip;
+  // Indexed when the store offers it (server-storage.js), else a scan
+  const memberByEmail = (members, email) => store.findMemberByEmail
+    ? store.findMemberByEmail(email)
+    : members.find(u => (u.email || '').toLowerCase() === email);
+
+  routes.post('/auth/register', {
+    summary: 'Sign up with email and password',
+    tags: ['auth'],
+    body: t.object({
+      email: t.email(), password: S.password, name: t.string({ maxLength: 100 }),
+      invite: t.string({ maxLength: 64, description: 'Invite code: approves the sign-up' }),
+    }, { required: ['email', 'password'] }),
+    response: t.ok({
+      status: t.enum(['pending', 'approved']), memberId: t.string(),
+      token: t.string({ description: 'Only once approved (e.g. by an invite)' }), refreshToken: t.string(), expiresAt: t.integer(), sessionId: t.string(),
+      member: memberSummary,
+    }),
+  }, rateLimit(limits.registerIp, byIp), async (req, res) => {
+    const { email = '', password = '', name = '', invite: inviteCode = '' } = req.body || {};
     const cleanEmail = email.trim().toLowerCase();
-    if (!cleanEmail || !password) return res.status(400).json({ ok:false, error:'email & password required' });
 
     await store.read();
     const members = store.getMembers();
-    let m = members.find(u => (u.email || '').toLowerCase() === cleanEmail);
-    if (m) return res.status(409).json({ ok:false, error:'email exists' });
+    if (accounts.ownerOf(cleanEmail)) return res.status(409).json({ ok:false, error:'email exists' });
+    const admission = registration.check(inviteCode);
+    if (!admission.ok) return res.status(admission.status).json({ ok:false, error:admission.error });
 
     const hash = await bcrypt.hash(password, 10);
-    m = {
+    accounts.release(cleanEmail); // an unproven copy elsewhere would shadow this login
+    const m = {
       id: `m_${Date.now().toString(36)}`,
       email: cleanEmail,
       name: name || cleanEmail,
       phone: '',
-      status: 'approved',
       isAdmin: false,
-      sessionTokens: [],
       passwordHash: hash,
       createdAt: Date.now()
     };
+    registration.admit(m, admission.invite);
     members.push(m);
     store.setMembers(members);
     await store.write();
-
-    const token = signToken(m);
-    return res.json({ ok:true, token, member: { id:m.id, name:m.name, email:m.email } });
+    // Best effort: the account works before the address is confirmed
+    await accounts.sendVerification(m);
+    // Same as /register: no session until an admin (or an invite) approves the account
+    if (m.status !== 'approved') {
+      return res.json({ ok:true, status:m.status, memberId:m.id });
+    }
+    const session = startSession(req, m, 'password');
+    await store.write();
+    return res.json({ ok:true, status:m.status, ...session, member: { id:m.id, name:m.name, email:m.email } });
   });
 
-  router.post('/auth/login', async (req, res) => {
+  routes.post('/auth/login', {
+    summary: 'Sign in with email and password',
+    tags: ['auth'],
+    body: t.object({ email: t.email(), password: S.password, deviceLabel: t.string({ maxLength: 100 }) }, { required: ['email', 'password'] }),
+    response: t.ok({ member: memberSummary }, t.ref('TokenPair')),
+  }, rateLimit(limits.loginIp, byIp), async (req, res) => {
     const { email = '', password = '' } = req.body || {};
     const cleanEmail = email.trim().toLowerCase();
-    if (!cleanEmail || !password) return res.status(400).json({ ok:false, error:'email & password required' });
+
+    const limit = limits.loginEmail.check(cleanEmail);
+    if (!limit.ok) return tooManyRequests(res, limit);
 
     await store.read();
     const members = store.getMembers();
-    const m = members.find(u => (u.email || '').toLowerCase() === cleanEmail);
-    if (!m || !m.passwordHash) return res.status(401).json({ ok:false, error:'invalid credentials' });
+    const m = memberByEmail(members, cleanEmail);
+    if (!m || !m.passwordHash) {
+      limits.loginEmail.fail(cleanEmail);
+      return res.status(401).json({ ok:false, error:'invalid credentials' });
+    }
 
     const ok = await bcrypt.compare(password, m.passwordHash);
-    if (!ok || m.status !== 'approved') return res.status(401).json({ ok:false, error:'invalid credentials' });
+    if (!ok || m.status !== 'approved') {
+      limits.loginEmail.fail(cleanEmail);
+      return res.status(401).json({ ok:false, error:'invalid credentials' });
+    }
+    limits.loginEmail.reset(cleanEmail);
+
+    const session = startSession(req, m, 'password');
+    await store.write();
+    return res.json({ ok:true, ...session, member: { id:m.id, name:m.name, email:m.email } });
+  });
+
+  // ---- Password reset & email verification (see server-accounts.js) ----
+  const byEmail = (req) => normalizeEmail(req.body?.email);
+
+  async function requireMember(req, res, next) {
+    const auth = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!auth) return res.status(401).json({ ok:false, error:'auth required' });
+    const m = await memberByToken(auth);
+    if (!m) return res.status(401).json({ ok:false, error:'invalid session' });
+    req.member = m;
+    return next();
+  }
+  requireMember.auth = 'member';
+
+  // Same answer whether or not the address has an account
+  routes.post('/auth/forgot', {
+    summary: 'Email a password reset link',
+    tags: ['auth'],
+    body: t.object({ email: t.email() }, { required: ['email'] }),
+  }, rateLimit(limits.emailSendIp, byIp), rateLimit(limits.emailSendAddress, byEmail), async (req, res) => {
+    await accounts.requestReset(req.body.email);
+    res.json({ ok:true });
+  });
 
-    const token = signToken(m);
-    return res.json({ ok:true, token, member: { id:m.id, name:m.name, email:m.email } });
+  // { token, password } — signs out every device
+  routes.post('/auth/reset', {
+    summary: 'Set a new password from a reset link (signs out every device)',
+    tags: ['auth'],
+    body: t.object({ token: t.string({ minLength: 1 }), password: S.password }, { required: ['token', 'password'] }),
+  }, rateLimit(limits.emailTokenIp, byIp), async (req, res) => {
+    const { token, password } = req.body;
+    const r = await accounts.resetPassword(token, password);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true });
+  });
+
+  routes.post('/auth/verify-email', {
+    summary: 'Confirm an email address from the emailed link',
+    tags: ['auth'],
+    body: t.object({ token: t.string({ minLength: 1 }) }, { required: ['token'] }),
+    response: t.ok({ email: t.string() }),
+  }, rateLimit(limits.emailTokenIp, byIp), async (req, res) => {
+    const r = await accounts.confirmEmail(req.body?.token);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, email: r.member.email });
+  });
+
+  routes.post('/auth/verify-email/resend', {
+    summary: 'Send the verification email again',
+    tags: ['auth'],
+    response: t.ok({ alreadyVerified: t.boolean() }),
+  }, rateLimit(limits.emailSendIp, byIp), requireMember, async (req, res) => {
+    if (!req.member.email) return res.status(400).json({ ok:false, error:'no email on this account' });
+    const limit = limits.emailSendAddress.hit(normalizeEmail(req.member.email));
+    if (!limit.ok) return tooManyRequests(res, limit);
+    const r = await accounts.sendVerification(req.member);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, alreadyVerified: !!r.alreadyVerified });
+  });
+
+  // Add a password to an account (e.g. SMS sign-up with a verified email) or change it: { password, currentPassword? }
+  routes.post('/auth/password', {
+    summary: 'Add or change your password',
+    tags: ['auth'],
+    body: t.object({ password: S.password, currentPassword: t.string({ description: 'Required when the account already has a password' }) }, { required: ['password'] }),
+  }, requireMember, async (req, res) => {
+    const limit = limits.loginEmail.check(normalizeEmail(req.member.email) || req.member.id);
+    if (!limit.ok) return tooManyRequests(res, limit);
+    const r = await accounts.setPassword(req.member, req.body?.password, req.body?.currentPassword);
+    if (!r.ok) {
+      if (r.status === 403) limits.loginEmail.fail(normalizeEmail(req.member.email) || req.member.id);
+      return res.status(r.status).json({ ok:false, error:r.error });
+    }
+    await store.write();
+    res.json({ ok:true });
   });
 
   // ---- /addons/chat (separate namespace; optional) ----
-  // Admin via PIN OR member via Bearer (JWT)
+  // Admin via bootstrap PIN OR member via Bearer (any session)
   async function requireMemberOrAdmin(req, res, next) {
     if (isAdminReq(req)) return next();
     const auth = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
-    if (!auth || auth.split('.').length !== 3) return res.status(401).json({ ok:false, error:'auth required' });
-
-    try {
-      const dec = jwt.verify(auth, jwtSecret);
-      await store.read();
-      const m = store.getMembers().find(u => u.id === dec.sub || (u.email || '').toLowerCase() === (dec.email || '').toLowerCase());
-      if (!m || m.status !== 'approved') return res.status(401).json({ ok:false, error:'invalid session' });
-      req.member = m;
-      return next();
-    } catch {
-      return res.status(401).json({ ok:false, error:'invalid session' });
-    }
-  }
+    if (!auth) return res.status(401).json({ ok:false, error:'auth required' });
 
-  router.get('/chat', requireMemberOrAdmin, async (_req, res) => {
-    await store.read();
-    res.json(store.getMessages().slice(-100));
-  });
+    const m = await memberByToken(auth);
+    if (!m) return res.status(401).json({ ok:false, error:'invalid session' });
+    req.member = m;
+    return next();
+  }
+  requireMemberOrAdmin.auth = 'memberOrAdmin';
 
-  router.post('/chat', requireMemberOrAdmin, async (req, res) => {
-    const text = (req.body?.text || '').toString().trim();
-    if (!text) return res.status(400).json({ ok:false, error:'text required' });
+  const chatActor = (req) => ({ member: req.member || null, viaPin: !req.member && isAdminReq(req) });
+  const roomOf = (req) => (req.query.room || req.body?.room || req.body?.roomId || 'general').toString();
 
+  routes.get('/chat', {
+    summary: 'Messages in a room, oldest first (same as GET /chat/messages)',
+    query: t.object({ ...S.roomRef, ...S.paging }),
+    response: t.ok({ messages: t.array(t.ref('Message')), hasMore: t.boolean() }),
+  }, requireMemberOrAdmin, async (req, res) => {
     await store.read();
-    const all = store.getMessages();
-    const msg = {
-      id: `c_${Date.now().toString(36)}`,
-      memberId: req.member?.id || 'admin',
-      name: req.member?.name || (isAdminReq(req) ? 'Admin' : 'Member'),
-      text,
-      ts: Date.now()
-    };
-    all.push(msg);
-    store.setMessages(all);
-    await store.write();
-    try { io?.emit?.('chat:new', msg); } catch {}
+    const { before, after, limit } = req.query;
+    const r = chat.history(chatActor(req), roomOf(req), { before, after, limit });
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.set('X-Has-More', r.hasMore ? '1' : '0');
+    res.json({ ok:true, messages: r.messages, hasMore: r.hasMore });
+  });
 
-    res.json({ ok:true, message: msg });
+  routes.post('/chat', {
+    summary: 'Post a message (same as POST /chat/send)',
+    body: t.object({ ...S.roomRef, text: t.string({ minLength: 1 }), replyTo: t.string() }, { required: ['text'] }),
+    response: t.ok({ message: t.ref('Message') }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    const r = await chat.post(chatActor(req), roomOf(req), req.body?.text, { replyTo: req.body?.replyTo?.toString() });
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, message: r.message });
   });
 
   return router;
@@ -0,0 +1,188 @@
+// server-announcements.js
+// Admin broadcasts to a member segment over SMS, push and/or a pinned chat post,
+// sent now or at `sendAt`. Stored in db.data.announcements:
+//   { id, title, body, channels: { sms, push, chat }, segment, sendAt, status, createdBy, createdAt,
+//     sentAt?, result?: { recipients, batchId, sms, push, chatMessageId }, error? }
+// status: scheduled -> sending -> sent | failed, or cancelled before it goes out.
+// Segments are resolved when the announcement is sent, not when it's created.
+
+import { nanoid } from 'nanoid';
+import { memberRoles, isStaff } from './server-roles.js';
+
+export const SEGMENTS = {
+  approved: 'All approved members',
+  pending:  'Pending signups',
+  admins:   'Admins',
+  staff:    'Staff (any role)',
+  rsvp:     'Members who RSVP\'d to a meeting',
+};
+const RSVP_SEGMENT_STATUSES = ['yes', 'maybe', 'waitlist', 'no'];
+
+/**
+ * @param {{
+ *   db: any,
+ *   deliver: (announcement: any, members: any[]) => Promise<any>,  // queue notifications + chat post
+ *   onSent?: () => void,  // after sends are persisted (start the outbox worker here, not inside deliver)
+ *   intervalMs?: number,  // how often scheduled announcements are checked; 0 = cron only
+ * }} opts
+ */
+export function createAnnouncements({ db, deliver, onSent = () => {}, intervalMs = 60 * 1000 }) {
+  const list = () => (db.data.announcements ||= []);
+  let timer = null;
+  let running = null;
+
+  /**
+   * Validate a segment: 'approved' or { type: 'rsvp', meetingId, statuses?: ['yes', ...] }.
+   */
+  function cleanSegment(input) {
+    const seg = typeof input === 'string' ? { type: input } : { ...(input || {}) };
+    seg.type ||= 'approved';
+    if (!SEGMENTS[seg.type]) return { ok: false, error: `segment must be one of: ${Object.keys(SEGMENTS).join(', ')}` };
+    if (seg.type !== 'rsvp') return { ok: true, segment: { type: seg.type } };
+
+    const meeting = (db.data.meetings || []).find(m => m.id === seg.meetingId);
+    if (!meeting) return { ok: false, error: 'meeting not found' };
+    const statuses = Array.isArray(seg.statuses) && seg.statuses.length ? seg.statuses : ['yes'];
+    if (!statuses.every(s => RSVP_SEGMENT_STATUSES.includes(s))) {
+      return { ok: false, error: `statuses must be from: ${RSVP_SEGMENT_STATUSES.join(', ')}` };
+    }
+    return { ok: true, segment: { type: 'rsvp', meetingId: meeting.id, statuses: [...new Set(statuses)] } };
+  }
+
+  /**
+   * Members in a segment right now.
+   */
+  function recipients(segment) {
+    const members = db.data.members || [];
+    switch (segment.type) {
+      case 'pending': return members.filter(m => m.status === 'pending');
+      case 'admins':  return members.filter(m => m.status === 'approved' && memberRoles(m).includes('admin'));
+      case 'staff':   return members.filter(m => isStaff(m));
+      case 'rsvp': {
+        const meeting = (db.data.meetings || []).find(m => m.id === segment.meetingId);
+        const ids = new Set((meeting?.rsvps || []).filter(r => segment.statuses.includes(r.status)).map(r => r.memberId));
+        return members.filter(m => ids.has(m.id) && m.status === 'approved');
+      }
+      default: return members.filter(m => m.status === 'approved');
+    }
+  }
+
+  /**
+   * Validate an announcement request.
+   * @returns {{ ok: true, value: any } | { ok: false, error: string }}
+   */
+  function normalize(input = {}) {
+    const title = (input.title || '').toString().trim();
+    const body = (input.body || '').toString().trim();
+    if (!title || !body) return { ok: false, error: 'title and body required' };
+    if (title.length > 120) return { ok: false, error: 'title too long (max 120)' };
+    if (body.length > 1000) return { ok: false, error: 'body too long (max 1000)' };
+
+    const ch = input.channels || {};
+    const channels = { sms: !!(ch.sms ?? true), push: !!(ch.push ?? true), chat: !!(ch.chat ?? false) };
+    if (!channels.sms && !channels.push && !channels.chat) return { ok: false, error: 'pick at least one channel' };
+
+    const seg = cleanSegment(input.segment);
+    if (!seg.ok) return seg;
+    if (channels.chat && !['approved', 'rsvp'].includes(seg.segment.type)) {
+      return { ok: false, error: 'chat posts are only for the approved or rsvp segments' };
+    }
+
+    let sendAt = null;
+    if (input.sendAt) {
+      sendAt = new Date(input.sendAt).getTime();
+      if (!Number.isFinite(sendAt)) return { ok: false, error: 'sendAt must be a date' };
+      if (sendAt <= Date.now()) sendAt = null; // in the past = send now
+    }
+    return { ok: true, value: { title, body, channels, segment: seg.segment, sendAt } };
+  }
+
+  /**
+   * Store an announcement (scheduled, or ready to send). Caller persists, then send()s it if not scheduled.
+   */
+  function create(value, createdBy) {
+    const a = {
+      id: nanoid(),
+      ...value,
+      status: value.sendAt ? 'scheduled' : 'sending',
+      createdBy,
+      createdAt: Date.now(),
+    };
+    list().push(a);
+    return a;
+  }
+
+  // Deliver one announcement to its segment and record the outcome (persists)
+  async function sendOne(id) {
+    await db.read();
+    const a = list().find(x => x.id === id);
+    if (!a || !['scheduled', 'sending'].includes(a.status)) return a || null;
+    a.status = 'sending';
+    await db.write();
+
+    try {
+      const members = recipients(a.segment);
+      const result = await deliver(a, members);
+      // No re-read: deliver() leaves db.data current, and the outbox worker it kicked may be writing
+      const fresh = list().find(x => x.id === id);
+      Object.assign(fresh, { status: 'sent', sentAt: Date.now(), result: { recipients: members.length, ...result } });
+      await db.write();
+      return fresh;
+    } catch (e) {
+      console.error('Announcement error', id, e?.message || e);
+      const fresh = list().find(x => x.id === id);
+      Object.assign(fresh, { status: 'failed', error: String(e?.message || e) });
+      await db.write();
+      return fresh;
+    }
+  }
+
+  /**
+   * Send a stored announcement now (persists).
+   */
+  async function send(id) {
+    const a = await sendOne(id);
+    onSent();
+    return a;
+  }
+
+  function cancel(id) {
+    const a = list().find(x => x.id === id);
+    if (!a) return { ok: false, status: 404, error: 'not found' };
+    if (a.status !== 'scheduled') return { ok: false, status: 409, error: `already ${a.status}` };
+    a.status = 'cancelled';
+    a.cancelledAt = Date.now();
+    return { ok: true, announcement: a };
+  }
+
+  async function pass() {
+    await db.read();
+    const now = Date.now();
+    const due = list().filter(a => a.status === 'scheduled' && a.sendAt <= now).map(a => a.id);
+    const sent = [];
+    for (const id of due) sent.push((await sendOne(id))?.id);
+    if (sent.length) onSent();
+    return { sent };
+  }
+
+  // Overlapping callers (timer + cron endpoint) share the in-flight pass
+  function runDue() {
+    running ||= pass().finally(() => { running = null; });
+    return running;
+  }
+
+  return {
+    cleanSegment, recipients, normalize, create, send, cancel, runDue,
+    list: () => list().slice().reverse(),
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => runDue().catch(e => console.error('Announcement pass failed', e)), intervalMs);
+      timer.unref?.();
+      runDue().catch(e => console.error('Announcement pass failed', e));
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,269 @@
+// server-api-schemas.js
+// Shared pieces of the API contract (see server-api.js): the resources routes
+// return, as OpenAPI components, and request fragments used by more than one
+// route. Response shapes list every field a response carries (the tests check
+// each response against them and refuse undeclared fields).
+// Range/semantic checks stay in the modules that own the data (profiles,
+// preferences, recurrence, announcements...); these pin down types and basic bounds.
+
+import { t } from './server-api.js';
+import { CHAT_PAGE_LIMIT } from './server-chat.js';
+import { REPORT_PAGE_LIMIT } from './server-moderation.js';
+
+const id = t.string();
+const ms = (description) => t.integer({ description: description ? `${description} (epoch ms)` : 'epoch ms' });
+const nullableMs = (description) => t.nullable(ms(description));
+
+// ---------- Request fragments ----------
+export const phone = t.string({ minLength: 1, maxLength: 32, description: 'US number; any common formatting' });
+export const otpCode = t.string({ type: ['string', 'integer'], minLength: 1, maxLength: 12 });
+export const password = t.string({ minLength: 1, maxLength: 200 });
+export const expoToken = t.string({ maxLength: 200, description: 'Expo push token for this device' });
+export const scope = t.enum(['occurrence', 'series'], { description: 'occurrence (default) or this and following' });
+export const roomRef = {
+  room: t.string({ maxLength: 80, description: 'Room id (default general)' }),
+  roomId: t.string({ maxLength: 80, description: 'Alias of room' }),
+};
+export const paging = {
+  before: t.string({ description: 'Message id: page older than this' }),
+  after: t.string({ description: 'Message id: page newer than this' }),
+  limit: t.integer({ minimum: 1, maximum: CHAT_PAGE_LIMIT, description: `Default ${CHAT_PAGE_LIMIT}` }),
+};
+export const reportsLimit = t.integer({ minimum: 1, maximum: REPORT_PAGE_LIMIT, description: 'Default 100' });
+
+export const recurrence = t.object({
+  freq: t.enum(['weekly', 'monthly']),
+  interval: t.integer({ minimum: 1, maximum: 12 }),
+  nth: t.integer({ minimum: -1, maximum: 5, description: '1-5, or -1 for last (monthly)' }),
+  weekday: t.integer({ minimum: 0, maximum: 6, description: '0 = Sunday (monthly)' }),
+  count: t.integer({ minimum: 1 }),
+  until: t.date(),
+}, { required: ['freq'] });
+
+const meetingEditable = {
+  title: t.string({ minLength: 1, maxLength: 200 }),
+  description: t.string({ maxLength: 5000 }),
+  location: t.string({ maxLength: 300 }),
+  startsAt: t.date(),
+  reminderMinutes: t.integer({ minimum: 1, description: 'Extra reminder this many minutes before' }),
+  reminderOffsets: t.array(t.integer({ minimum: 1 }), { maxItems: 10 }),
+  capacity: t.nullable(t.integer({ minimum: 0, description: '0 or null = unlimited' })),
+};
+
+export const meetingCreate = t.object({
+  ...meetingEditable,
+  recurrence: t.nullable(recurrence),
+  sendSms: t.boolean({ description: 'Text approved members (default true)' }),
+  sendPush: t.boolean({ description: 'Push to approved members (default true)' }),
+}, { required: ['title', 'startsAt'] });
+
+export const meetingUpdate = t.object({
+  ...meetingEditable,
+  recurrence: t.nullable(recurrence),
+  scope,
+  notify: t.boolean({ description: 'Tell members about a new time or place (default true)' }),
+});
+
+// 'approved' | { type: 'rsvp', meetingId, statuses? }; values are checked by server-announcements.js
+export const segment = t.any({
+  type: ['string', 'object'],
+  description: 'approved, pending, admins, staff, or { type: "rsvp", meetingId, statuses?: ["yes", "maybe", "waitlist", "no"] }',
+});
+
+export const announcementInput = t.object({
+  title: t.string({ minLength: 1, maxLength: 120 }),
+  body: t.string({ minLength: 1, maxLength: 1000 }),
+  segment,
+  channels: t.object({ sms: t.boolean(), push: t.boolean(), chat: t.boolean() }),
+  sendAt: t.nullable(t.date({ type: ['string', 'integer'], description: 'Schedule for later (ISO 8601 or epoch ms); past or missing = now' })),
+}, { required: ['title', 'body'] });
+
+// ---------- Components ----------
+const Pet = t.object({ name: t.string(), breed: t.string() });
+
+const Profile = t.object({
+  bio: t.string(),
+  pets: t.array(Pet),
+  avatarUrl: t.nullable(t.string()),
+  privacy: t.object({
+    phone: t.enum(['members', 'private']),
+    email: t.enum(['members', 'private']),
+    listed: t.boolean(),
+  }),
+});
+
+export const unreadCounts = t.object({
+  total: t.integer(),
+  rooms: t.object({}, { additionalProperties: t.integer(), description: 'roomId -> unread count' }),
+}, { required: ['total', 'rooms'] });
+
+const Me = t.object({
+  id, name: t.string(), email: t.string(), phone: t.string(),
+  status: t.enum(['pending', 'approved', 'rejected']),
+  emailVerified: t.boolean(), hasPassword: t.boolean(),
+  profile: t.ref('Profile'),
+  roles: t.array(t.string()), permissions: t.array(t.string()), isStaff: t.boolean(),
+  unread: unreadCounts,
+}, { required: ['id', 'status'] });
+
+const MemberSummary = t.object({ id, name: t.string(), email: t.string(), phone: t.string() }, { required: ['id'] });
+
+const Login = t.ok({
+  token: t.string(), refreshToken: t.string(), expiresAt: ms('access token expiry'), sessionId: id,
+  member: t.ref('MemberSummary'),
+});
+
+const TokenPair = t.object({
+  token: t.string(), refreshToken: t.string(), expiresAt: ms('access token expiry'), sessionId: id,
+}, { required: ['token', 'refreshToken', 'expiresAt'] });
+
+const Session = t.object({
+  id, method: t.enum(['sms', 'password', 'legacy']), label: t.string(), ip: t.string(),
+  createdAt: ms(), lastUsedAt: ms(), expiresAt: ms(), current: t.boolean(),
+});
+
+const DirectoryEntry = t.object({
+  id, name: t.string(), bio: t.string(), pets: t.array(Pet), avatarUrl: t.nullable(t.string()),
+  phone: t.string({ description: 'Only if the member shares it' }),
+  email: t.string({ description: 'Only if the member shares it' }),
+}, { required: ['id', 'name'] });
+
+const Preferences = t.object({
+  channels: t.object({}, { additionalProperties: t.object({ sms: t.boolean(), push: t.boolean() }), description: 'type -> channel -> on' }),
+  quietHours: t.nullable(t.object({ start: t.string({ description: 'HH:MM' }), end: t.string({ description: 'HH:MM' }), tz: t.string() })),
+  types: t.object({}, { additionalProperties: t.string(), description: 'type -> description' }),
+  smsOptOut: t.nullable(t.object({ at: ms(), via: t.enum(['keyword', 'app']) })),
+});
+
+const activeSanction = t.nullable(t.object({ until: nullableMs('null = until lifted'), reason: t.string(), since: ms() }));
+
+const MemberAdmin = t.object({
+  id, name: t.string(), email: t.string(), phone: t.string(),
+  status: t.enum(['pending', 'approved', 'rejected']),
+  isAdmin: t.boolean(), roles: t.array(t.string()), createdAt: ms(), approvedAt: ms(),
+  expoTokens: t.array(t.string()), emailVerified: t.boolean(),
+  smsOptOut: t.nullable(t.object({ at: ms(), via: t.enum(['keyword', 'app']) })),
+  chat: t.object({ muted: activeSanction, banned: activeSanction }, { description: 'Active sanctions' }),
+  invitedBy: t.string({ description: "Inviter's member id, or 'pin'" }), invitedByName: t.string(),
+}, { required: ['id', 'status'] });
+
+const RsvpCounts = t.object({
+  yes: t.integer(), no: t.integer(), maybe: t.integer(), waitlist: t.integer(),
+  capacity: t.nullable(t.integer()), spotsLeft: t.nullable(t.integer()),
+});
+
+const Rsvp = t.nullable(t.object({
+  status: t.enum(['yes', 'no', 'maybe', 'waitlist']), at: ms(), waitlistPosition: t.integer(),
+}));
+
+const Meeting = t.object({
+  id, title: t.string(), description: t.string(), location: t.string(),
+  startsAt: t.string({ description: 'As entered by the organizer (ISO 8601 or local date-time)' }),
+  reminderMinutes: t.integer(), reminderOffsets: t.array(t.integer()),
+  capacity: t.nullable(t.integer()),
+  seriesId: t.string(), occurrenceKey: t.string(), detached: t.boolean(),
+  cancelled: t.boolean(), cancelReason: t.string(), cancelledAt: ms(),
+  sequence: t.integer(), createdAt: ms(), updatedAt: ms(),
+  counts: t.ref('RsvpCounts'), myRsvp: t.ref('Rsvp'),
+}, { required: ['id', 'title', 'startsAt'] });
+
+const Room = t.object({
+  id, kind: t.enum(['channel', 'meeting', 'dm']), name: t.string(), topic: t.string(),
+  postPolicy: t.enum(['all', 'admins']), members: t.array(t.string()), meetingId: t.string(),
+  unread: t.integer({ description: 'Unread messages for the signed-in member' }),
+  createdBy: t.string(), createdAt: ms(),
+}, { required: ['id', 'kind'] });
+
+export const reactions = t.object({}, { additionalProperties: t.array(t.string()), description: 'emoji -> member ids' });
+
+const Message = t.object({
+  id, roomId: t.string(), memberId: t.string({ description: "Member id, 'admin', 'system' or 'erased'" }),
+  name: t.string(), text: t.string({ description: 'Empty once deleted' }), ts: ms(),
+  replyTo: t.string(), mentions: t.array(t.string()), editedAt: ms(),
+  reactions,
+  pinnedAt: ms(), pinnedBy: t.string(), deletedAt: ms(), deletedBy: t.string(),
+}, { required: ['id', 'roomId', 'memberId', 'ts'] });
+
+const Report = t.object({
+  id, messageId: t.string(), roomId: t.string(), reporterId: t.string(), reporterName: t.string(),
+  reason: t.string(), status: t.enum(['open', 'resolved', 'dismissed']),
+  message: t.object({ memberId: t.string(), name: t.string(), text: t.string(), ts: ms() }, { description: 'Copy taken when reported' }),
+  createdAt: ms(), resolvedAt: ms(), resolvedBy: t.string(), note: t.string(),
+});
+
+const Sanction = t.object({
+  id, memberId: t.string(), type: t.enum(['mute', 'ban']), until: nullableMs('null = until lifted'),
+  reason: t.string(), by: t.string(), createdAt: ms(), liftedAt: ms(), liftedBy: t.string(),
+});
+
+const ChatFilter = t.object({ words: t.array(t.string()), mode: t.enum(['mask', 'reject']) });
+
+const Invite = t.object({
+  id, code: t.string(), note: t.string(), maxUses: t.nullable(t.integer()), uses: t.integer(),
+  expiresAt: nullableMs(), createdBy: t.string(), createdByName: t.string(), createdAt: ms(), revokedAt: ms(),
+  state: t.enum(['active', 'used', 'expired', 'revoked']), link: t.nullable(t.string()),
+  redemptions: t.array(t.object({ memberId: t.string(), name: t.string(), at: ms() })),
+});
+
+const Announcement = t.object({
+  id, title: t.string(), body: t.string(),
+  channels: t.object({ sms: t.boolean(), push: t.boolean(), chat: t.boolean() }),
+  segment: t.object({ type: t.string(), meetingId: t.string(), statuses: t.array(t.string()) }),
+  sendAt: nullableMs(), status: t.enum(['scheduled', 'sending', 'sent', 'failed', 'cancelled']),
+  createdBy: t.string(), createdByName: t.string(), createdAt: ms(), sentAt: ms(), cancelledAt: ms(),
+  error: t.string({ description: 'Why sending failed' }),
+  result: t.object({
+    recipients: t.integer(), batchId: t.nullable(t.string()), sms: t.integer(), push: t.integer(),
+    chatMessageId: t.nullable(t.string()), chatError: t.string(),
+  }),
+});
+
+const jobStatus = t.enum(['queued', 'sending', 'sent', 'delivered', 'failed', 'cancelled']);
+
+const DeliveryBatch = t.object({
+  id, kind: t.string(), label: t.string(), ref: t.nullable(t.object({ type: t.string(), id: t.string() })),
+  createdAt: ms(), total: t.integer(),
+  counts: t.object({}, {
+    additionalProperties: t.object(Object.fromEntries(jobStatus.enum.map(s => [s, t.integer()]))),
+    description: 'channel (sms, push) -> status -> jobs; channels without jobs are left out',
+  }),
+});
+
+const DeliveryJob = t.object({
+  id, batchId: t.string(), channel: t.enum(['sms', 'push']), memberId: t.nullable(t.string()), memberName: t.nullable(t.string()),
+  status: jobStatus, attempts: t.integer(), maxAttempts: t.integer(), lastError: t.string(),
+  providerIds: t.array(t.string({ description: 'Twilio message SIDs / Expo ticket ids / relay ids' })),
+  receipts: t.object({ ok: t.integer(), error: t.integer() }, { description: 'Push receipts so far' }),
+  createdAt: ms(), nextAttemptAt: ms(), expiresAt: ms(), sentAt: ms(), deliveredAt: ms(), failedAt: ms(),
+});
+
+const AuditEntry = t.object({
+  id, ts: ms(), action: t.string(),
+  actor: t.object({ id: t.string(), name: t.string(), via: t.enum(['session', 'pin']) }),
+  target: t.nullable(t.object({ type: t.string(), id: t.string(), label: t.string() })),
+  before: t.any(), after: t.any(), ip: t.string(),
+});
+
+const Backup = t.object({
+  name: t.string(), size: t.integer({ description: 'bytes' }), createdAt: ms(),
+  reason: t.enum(['scheduled', 'manual', 'restore']),
+});
+
+const DataExport = t.object({
+  exportedAt: t.date(),
+  member: t.object({ id }, { additionalProperties: true, description: 'The member record as stored, minus credentials' }),
+  profile: t.ref('Profile'),
+  messages: t.array(t.object({ id, roomId: t.string(), room: t.string(), text: t.string(), ts: ms(), editedAt: ms(), replyTo: t.string() })),
+  rsvps: t.array(t.object({ meetingId: t.string(), title: t.string(), startsAt: t.string(), status: t.string(), at: ms() })),
+  sessions: t.array(t.ref('Session')),
+  sanctions: t.array(t.ref('Sanction')),
+  reportsFiled: t.array(t.object({ id, messageId: t.string(), roomId: t.string(), reason: t.string(), status: t.string(), createdAt: ms() })),
+});
+
+export const COMPONENTS = {
+  Me, MemberSummary, TokenPair, Session, Profile, Pet, DirectoryEntry, Preferences, MemberAdmin,
+  Meeting, RsvpCounts, Rsvp, Room, Message, Report, Sanction, ChatFilter, Invite, Announcement,
+  DeliveryBatch, DeliveryJob, AuditEntry, Backup, DataExport,
+};
+
+export const responses = { Login };
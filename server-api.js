@@ -0,0 +1,332 @@
+// server-api.js
+// The HTTP contract in one place. Each route declares its inputs as JSON Schema
+// (checked before the handler runs) and its response, and the same declarations
+// make up the OpenAPI 3.1 document served at GET /openapi.json:
+//
+//   const api = createApi({ title, version, components });
+//   const routes = api.routes(app);                  // or api.routes(router, '/addons')
+//   routes.post('/meetings', { summary, body, response }, requirePermission('meetings:manage'), handler);
+//
+// Spec fields: summary, description?, tags? (default: first path segment), auth?
+// ('cron'|'feed'|'twilio'|'none'; otherwise read off the auth middleware, see
+// AUTH_SCHEMES), body?, query?, params?, bodyType? (non-JSON request body),
+// response? (JSON Schema of the 200 body) or produces? ('text/calendar', ...).
+//
+// Every JSON response is an object with `ok` (downloads such as GET /me/export
+// and the OpenAPI document aside). Failures look like
+//   { ok: false, code, error, details? }
+// `code` comes from ERROR_CODES by status unless the handler sets a more
+// specific one; invalid input answers 400 `validation_failed` with `details`:
+// [{ in: 'body'|'query'|'params', path, message }].
+
+import http from 'node:http';
+
+export const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal',
+  503: 'unavailable',
+};
+
+// Middleware tagged with `auth` (e.g. requireAuth.auth = 'member') -> OpenAPI security
+export const AUTH_SCHEMES = {
+  member: [{ bearer: [] }],
+  staff: [{ bearer: [] }, { adminPin: [] }],
+  memberOrAdmin: [{ bearer: [] }, { adminPin: [] }],
+  cron: [{ cronSecret: [] }],
+  feed: [{ feedToken: [] }, { bearer: [] }, { adminPin: [] }],
+  twilio: [{ twilioSignature: [] }],
+  none: [],
+};
+
+// ---------- Schema shorthands (plain JSON Schema objects) ----------
+export const t = {
+  string: (opts = {}) => ({ type: 'string', ...opts }),
+  integer: (opts = {}) => ({ type: 'integer', ...opts }),
+  number: (opts = {}) => ({ type: 'number', ...opts }),
+  boolean: (opts = {}) => ({ type: 'boolean', ...opts }),
+  enum: (values, opts = {}) => ({ type: typeof values[0] === 'number' ? 'integer' : 'string', enum: values, ...opts }),
+  array: (items, opts = {}) => ({ type: 'array', items, ...opts }),
+  // Unknown properties are allowed unless `additionalProperties: false` is passed
+  object: (properties = {}, { required = [], ...opts } = {}) => ({
+    type: 'object', properties, ...(required.length ? { required } : {}), ...opts,
+  }),
+  date: (opts = {}) => ({ type: 'string', format: 'date-time', ...opts }),
+  email: (opts = {}) => ({ type: 'string', format: 'email', maxLength: 254, ...opts }),
+  nullable: (schema) => ({ ...schema, type: [].concat(schema.type, 'null') }),
+  anyOf: (...schemas) => ({ anyOf: schemas }),
+  ref: (name) => ({ $ref: `#/components/schemas/${name}` }),
+  any: (opts = {}) => ({ ...opts }),
+  // A success body: { ok: true, ...properties }, optionally merged with a component
+  ok: (properties = {}, base) => {
+    const own = { type: 'object', properties: { ok: { const: true }, ...properties }, required: ['ok'] };
+    return base ? { allOf: [base, own] } : own;
+  },
+};
+
+// ---------- Validation ----------
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+const isType = (type, v) => typeOf(v) === type || (type === 'number' && typeof v === 'number' && Number.isFinite(v));
+const FORMATS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}/.test(v) && !Number.isNaN(new Date(v).getTime()),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.trim()), // handlers trim/lowercase
+};
+const FORMAT_NAMES = { 'date-time': 'a date-time (ISO 8601)', email: 'an email address' };
+const article = (type) => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`);
+
+// Query strings and path params arrive as text
+function coerce(schema, v) {
+  if (typeof v !== 'string') return v;
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(v)) return v === 'true' || v === '1';
+  return v;
+}
+
+// Property names an object schema declares, counting allOf parts (strict mode)
+function declaredKeys(schema, ctx) {
+  if (schema.$ref) return declaredKeys(ctx.resolve(schema.$ref), ctx);
+  const keys = Object.keys(schema.properties || {});
+  for (const s of schema.allOf || []) keys.push(...declaredKeys(s, ctx));
+  return keys;
+}
+
+// `part`: checked as one allOf member, so unknown keys are left to the parent (strict mode)
+function check(schema, value, path, errors, ctx, part = false) {
+  if (!schema || typeof schema !== 'object') return;
+  if (schema.$ref) return check(ctx.resolve(schema.$ref), value, path, errors, ctx, part);
+  const at = path || ctx.in;
+  const fail = (message) => errors.push({ in: ctx.in, path, message: `${at} ${message}` });
+  if (ctx.coerce) value = coerce(schema, value);
+
+  if (schema.allOf) for (const s of schema.allOf) check(s, value, path, errors, ctx, true);
+  if (schema.anyOf) {
+    const passes = schema.anyOf.some(s => { const e = []; check(s, value, path, e, ctx); return !e.length; });
+    if (!passes) {
+      const kinds = schema.anyOf.map(s => (s.$ref ? s.$ref.split('/').pop() : [].concat(s.type || 'value').map(article).join(' or ')));
+      return fail(`must be ${[...new Set(kinds)].join(' or ')}`);
+    }
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(type, value))) return fail(`must be ${types.map(article).join(' or ')}`);
+  }
+  if (value === null) return;
+  if ('const' in schema && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    // Whitespace doesn't count toward minLength, so "  " is still an empty title
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail('has an invalid format');
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) return fail(`must be ${FORMAT_NAMES[schema.format]}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors, ctx));
+  }
+  if (typeOf(value) === 'object') {
+    const key = (k) => (path ? `${path}.${k}` : k);
+    for (const k of schema.required || []) {
+      if (value[k] === undefined || value[k] === '') errors.push({ in: ctx.in, path: key(k), message: `${key(k)} is required` });
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] !== undefined) check(sub, value[k], key(k), errors, ctx);
+    }
+    const closed = schema.additionalProperties === false
+      || (ctx.strict && !part && schema.additionalProperties === undefined && (schema.properties || schema.allOf));
+    if (closed) {
+      const known = new Set(declaredKeys(schema, ctx));
+      for (const k of Object.keys(value)) if (!known.has(k)) errors.push({ in: ctx.in, path: key(k), message: `${key(k)} is not allowed` });
+    } else if (typeof schema.additionalProperties === 'object') {
+      for (const [k, v] of Object.entries(value)) if (!(k in (schema.properties || {}))) check(schema.additionalProperties, v, key(k), errors, ctx);
+    }
+  }
+}
+
+/**
+ * Check `value` against `schema`.
+ * @param {{ in?: string, coerce?: boolean, components?: object, strict?: boolean }} [opts]
+ *   strict: properties an object schema doesn't declare are errors too (for checking
+ *   responses against their declared shape; request bodies stay open)
+ * @returns {Array<{ in: string, path: string, message: string }>} empty when valid
+ */
+export function validate(schema, value, { in: where = 'body', coerce: coerceStrings = false, components = {}, strict = false } = {}) {
+  const errors = [];
+  const resolve = (ref) => components[ref.split('/').pop()] || {};
+  check(schema, value, '', errors, { in: where, coerce: coerceStrings, resolve, strict });
+  return errors;
+}
+
+// ---------- Responses ----------
+/**
+ * Middleware that gives every `{ ok: false }` body a `code` (and an `error`
+ * message if the handler left it out). Mount before the routes.
+ */
+export function errorContract() {
+  return (_req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.ok === false) {
+        const status = res.statusCode >= 400 ? res.statusCode : 400;
+        if (res.statusCode < 400) res.status(status);
+        body.code ||= ERROR_CODES[status] || (status >= 500 ? 'internal' : 'bad_request');
+        body.error ||= (http.STATUS_CODES[status] || 'error').toLowerCase();
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/** 404 for anything no route matched. Mount after every route. */
+export function notFound() {
+  return (req, res) => res.status(404).json({ ok: false, error: `no route for ${req.method} ${req.path}` });
+}
+
+/** Last-resort error handler: bad JSON bodies, oversized bodies, thrown errors. */
+export function errorHandler() {
+  return (err, req, res, _next) => {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ ok: false, code: 'invalid_json', error: 'request body is not valid JSON' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ ok: false, error: 'request body too large' });
+    console.error(err);
+    res.status(err.status >= 400 && err.status < 500 ? err.status : 500).json({ ok: false, error: err.expose ? err.message : 'internal error' });
+  };
+}
+
+// ---------- Routes + document ----------
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z_]\w*)/g, '{$1}');
+const pathParams = (path) => [...path.matchAll(/:([A-Za-z_]\w*)/g)].map(m => m[1]);
+const operationId = (method, path) => method + path
+  .replace(/\.ics$/, 'Ics')
+  .split(/[^A-Za-z0-9]+/).filter(Boolean)
+  .map(w => w[0].toUpperCase() + w.slice(1))
+  .join('');
+
+/**
+ * @param {{ title: string, version: string, description?: string, components?: Record<string, any> }} info
+ */
+export function createApi({ title, version, description = '', components = {} }) {
+  const registry = [];
+  const errorSchema = t.object({
+    ok: { const: false },
+    code: t.string({ description: `One of ${[...new Set([...Object.values(ERROR_CODES), 'validation_failed', 'invalid_json'])].join(', ')}` }),
+    error: t.string({ description: 'Human-readable message' }),
+    details: t.array(t.object({ in: t.string(), path: t.string(), message: t.string() })),
+    retryAfter: t.integer({ description: 'Seconds to wait (429 only)' }),
+  }, { required: ['ok', 'code', 'error'] });
+  const schemas = { Error: errorSchema, ...components };
+
+  // Check body/query/params before the handler; 400 validation_failed on the first problem(s)
+  function validator(spec) {
+    const parts = ['params', 'query', 'body'].filter(k => spec[k]);
+    if (!parts.length) return null;
+    return (req, res, next) => {
+      const details = [];
+      for (const k of parts) {
+        details.push(...validate(spec[k], req[k] ?? (k === 'body' ? {} : undefined), { in: k, coerce: k !== 'body', components: schemas }));
+      }
+      if (!details.length) return next();
+      res.status(400).json({ ok: false, code: 'validation_failed', error: details[0].message, details: details.slice(0, 20) });
+    };
+  }
+
+  /**
+   * Route registrars bound to an Express app or router. The last handler runs
+   * after validation; middleware before it (auth, rate limits) runs first.
+   */
+  function routes(target, prefix = '') {
+    const add = (method) => (path, spec, ...handlers) => {
+      const middleware = handlers.slice(0, -1);
+      for (const p of [].concat(path)) registry.push({ method, path: prefix + p, spec, middleware });
+      const check = validator(spec);
+      target[method](path, ...middleware, ...(check ? [check] : []), handlers[handlers.length - 1]);
+    };
+    return { get: add('get'), post: add('post'), put: add('put'), patch: add('patch'), delete: add('delete') };
+  }
+
+  function operation({ method, path, spec, middleware }) {
+    const authTag = spec.auth || middleware.map(m => m.auth).find(Boolean) || 'none';
+    const permission = middleware.map(m => m.permission).find(Boolean);
+    const rateLimited = middleware.some(m => m.rateLimited);
+    const ref = (name) => ({ $ref: `#/components/responses/${name}` });
+
+    const parameters = pathParams(path).map(name => ({
+      name, in: 'path', required: true, schema: spec.params?.properties?.[name] || t.string(),
+    }));
+    for (const [name, schema] of Object.entries(spec.query?.properties || {})) {
+      parameters.push({ name, in: 'query', required: (spec.query.required || []).includes(name), schema, ...(schema.description ? { description: schema.description } : {}) });
+    }
+
+    const responses = {
+      200: spec.produces
+        ? { description: 'OK', content: { [spec.produces]: { schema: t.string() } } }
+        : { description: 'OK', content: { 'application/json': { schema: spec.response || t.ok() } } },
+    };
+    if (spec.body || spec.query || spec.params) responses[400] = ref('Error');
+    if (authTag !== 'none') responses[401] = ref('Error');
+    if (permission || authTag === 'twilio') responses[403] = ref('Error');
+    if (parameters.some(p => p.in === 'path')) responses[404] = ref('Error');
+    if (rateLimited) responses[429] = ref('Error');
+    responses.default = ref('Error');
+
+    const requestBody = spec.bodyType
+      ? { required: true, content: Object.fromEntries([].concat(spec.bodyType).map(type => [type, { schema: spec.body || t.string({ format: 'binary' }) }])) }
+      : spec.body ? { required: true, content: { 'application/json': { schema: spec.body } } } : undefined;
+
+    return {
+      operationId: operationId(method, path),
+      summary: spec.summary || '',
+      ...(spec.description || permission ? { description: [spec.description, permission && `Requires the \`${permission}\` permission.`].filter(Boolean).join('\n\n') } : {}),
+      tags: spec.tags || [path.split('/')[1] || 'root'],
+      security: AUTH_SCHEMES[authTag] || [],
+      ...(permission ? { 'x-permission': permission } : {}),
+      ...(parameters.length ? { parameters } : {}),
+      ...(requestBody ? { requestBody } : {}),
+      responses,
+    };
+  }
+
+  /** The OpenAPI document for every route registered so far. */
+  function document({ serverUrl } = {}) {
+    const paths = {};
+    for (const r of registry) {
+      if (r.spec.hidden) continue;
+      (paths[toOpenApiPath(r.path)] ||= {})[r.method] = operation(r);
+    }
+    return {
+      openapi: '3.1.0',
+      info: { title, version, ...(description ? { description } : {}) },
+      ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+      paths,
+      components: {
+        schemas,
+        responses: { Error: { description: 'Error', content: { 'application/json': { schema: t.ref('Error') } } } },
+        securitySchemes: {
+          bearer: { type: 'http', scheme: 'bearer', description: 'Session access token from a login' },
+          adminPin: { type: 'apiKey', in: 'header', name: 'X-Admin-Pin', description: 'Bootstrap PIN; only until an admin account exists' },
+          cronSecret: { type: 'apiKey', in: 'query', name: 'secret', description: 'CRON_SECRET' },
+          feedToken: { type: 'apiKey', in: 'query', name: 'token', description: 'Calendar feed token (GET /me/calendar)' },
+          twilioSignature: { type: 'apiKey', in: 'header', name: 'X-Twilio-Signature' },
+        },
+      },
+    };
+  }
+
+  return { routes, document, schemas };
+}
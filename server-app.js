@@ -0,0 +1,2171 @@
+// server-app.js — Snoot Club server (OTP auth, meetings, chat, admin-by-PIN; admin chat via REST).
+// Built by a factory so index.js can run it and tests can build one against a
+// temp DATA_DIR with stand-in Twilio/Expo clients (see test/helpers.js):
+//   const snoot = await createSnootServer({ env, dataDir, twilioClient, expo });
+//   await snoot.listen(port);  ...  await snoot.close();
+
+import express from 'express';
+import http from 'node:http';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { Expo } from 'expo-server-sdk';
+import { nanoid } from 'nanoid';
+import twilio from 'twilio';
+import { attachSocketIO } from './server-socket.js';
+import createAuthChat from './server-addons-auth-chat.js';
+import { RSVP_STATUSES, setRsvp, removeRsvp, rsvpCounts, rsvpFor, promoteWaitlist } from './server-rsvp.js';
+import { normalizeRule, expandRecurrence, describeRule } from './server-recurrence.js';
+import { createReminderScheduler, skipPastReminders, describeOffset } from './server-reminders.js';
+import { buildCalendar } from './server-ical.js';
+import { createAuditLog } from './server-audit.js';
+import { createSessions, hashToken } from './server-sessions.js';
+import { createRateLimits, rateLimit, tooManyRequests } from './server-ratelimit.js';
+import { createOtpStore } from './server-otp.js';
+import { createChat, memberRoom } from './server-chat.js';
+import { createChatNotifier } from './server-chat-push.js';
+import { createSmsProvider, createPushProvider } from './server-notifier.js';
+import { createOutbox } from './server-outbox.js';
+import { NOTIFICATION_TYPES, preferencesOf, mergePreferences, wantsSms, pushMode, quietUntil, smsKeyword } from './server-preferences.js';
+import { createModeration, cleanWords } from './server-moderation.js';
+import { createAnnouncements, SEGMENTS } from './server-announcements.js';
+import { createInvites } from './server-invites.js';
+import { createMailer } from './server-mailer.js';
+import { createAccounts, cleanEmail } from './server-accounts.js';
+import { openStorage } from './server-storage.js';
+import { createBackups } from './server-backups.js';
+import { createPrivacy } from './server-privacy.js';
+import { profileOf, mergeProfile, directoryEntry, searchDirectory, createAvatarStore, AVATAR_TYPES } from './server-profiles.js';
+import { ROLES, cleanRoles, memberRoles, memberPermissions, hasPermission, isStaff } from './server-roles.js';
+import { createApi, errorContract, notFound, errorHandler, t } from './server-api.js';
+import * as S from './server-api-schemas.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Build the server: Express app, HTTP server and Socket.IO, on open storage.
+ * Reminders, the outbox, push receipts, announcements, backups and the OTP and chat-push
+ * sweeps only run after listen(); close() stops them.
+ * @param {{
+ *   env?: Record<string, string|undefined>,  // settings (default process.env)
+ *   dataDir?: string,                        // overrides env.DATA_DIR
+ *   twilioClient?: any,                      // twilio() client; default from TWILIO_ACCOUNT_SID/TWILIO_AUTH_TOKEN, null = no SMS
+ *   expo?: any,                              // Expo SDK client (new Expo())
+ *   sms?: { send: Function },                // SMS provider object, instead of SMS_PROVIDER (see server-notifier.js)
+ *   push?: { deliver: Function },            // push provider object, instead of PUSH_PROVIDER
+ * }} [opts]
+ */
+export async function createSnootServer({ env = process.env, dataDir, twilioClient: smsClient, expo: pushClient, sms: customSms, push: customPush } = {}) {
+  // ---------- Setup ----------
+  const app = express();
+  app.set('trust proxy', 1); // behind Render's proxy: real client IP/protocol
+  app.use(cors());
+  app.use(bodyParser.json());
+  app.use(errorContract());
+
+  // ---------- API contract (schemas + OpenAPI; see server-api.js) ----------
+  const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+  const api = createApi({
+    title: 'Snoot Club API',
+    version: pkg.version,
+    description: 'Members, meetings, chat and club administration. Errors are { ok: false, code, error, details? }.',
+    components: S.COMPONENTS,
+  });
+  const routes = api.routes(app);
+
+  // ---------- Data location ----------
+  const DATA_DIR = dataDir || env.DATA_DIR || __dirname; // if using Render Disk, set DATA_DIR=/data
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  // ---------- DB ----------
+  // STORAGE=json (DATA_DIR/db.json, default) or sqlite (DATA_DIR/snoot.db); see server-storage.js
+  const DATA_DEFAULTS = { members: [], meetings: [], series: [], chat: [], audit: [], sessions: [], settings: {} };
+  const db = await openStorage({ type: env.STORAGE || 'json', dir: DATA_DIR, defaults: DATA_DEFAULTS });
+
+  // Bring data written by older versions up to date; at start-up and after a backup restore. Caller persists.
+  function upgradeData() {
+    for (const [k, v] of Object.entries(DATA_DEFAULTS)) db.data[k] ||= structuredClone(v);
+    // didNotify24h (fixed 24h cron) -> remindersSent (per-offset, see server-reminders.js)
+    for (const meet of db.data.meetings) {
+      if (!('didNotify24h' in meet)) continue;
+      meet.remindersSent ||= meet.didNotify24h ? [1440] : [];
+      delete meet.didNotify24h;
+    }
+  }
+  upgradeData();
+  await db.write();
+  const memberByPhone = (phone) => db.find('members', 'phone', phone);
+
+  // ---------- Env ----------
+  const ADMIN_PIN   = env.ADMIN_PIN || ''; // bootstrap only: accepted until an approved admin account exists (unset = no PIN)
+  const CRON_SECRET = env.CRON_SECRET || 'changeme';
+  const TWILIO_FROM = env.TWILIO_FROM || '';
+  const SESSION_TTL_MS = Number(env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;      // access token lifetime
+  const REFRESH_TTL_MS = Number(env.REFRESH_TTL_DAYS || 90) * 24 * 60 * 60 * 1000;       // refresh token lifetime
+  const SERIES_HORIZON_DAYS = Number(env.SERIES_HORIZON_DAYS || 56); // how far ahead recurring meetings are expanded
+  const REMINDER_INTERVAL_MS = Number(env.REMINDER_INTERVAL_MS ?? 60 * 1000); // 0 disables the in-process scheduler
+  const PUBLIC_URL = (env.PUBLIC_URL || '').replace(/\/$/, ''); // e.g. https://snoot-club.onrender.com (used in calendar links)
+  const REMINDER_OFFSETS = (env.REMINDER_OFFSETS || '1440').split(',').map(Number).filter(n => n > 0); // minutes before start, plus each meeting's reminderMinutes
+  const OUTBOX_INTERVAL_MS = Number(env.OUTBOX_INTERVAL_MS ?? 5 * 1000); // outbox worker tick; 0 = only right after enqueue
+  const ANNOUNCEMENT_INTERVAL_MS = Number(env.ANNOUNCEMENT_INTERVAL_MS ?? 60 * 1000); // scheduled announcement check; 0 = cron only
+  const REGISTRATION_MODE = env.REGISTRATION_MODE === 'invite' ? 'invite' : 'approval'; // 'invite' = sign-up needs an invite code
+  const INVITE_LINK_BASE = env.INVITE_LINK_BASE || ''; // e.g. https://snoot.club/join (app reads ?code=); empty = codes only
+  const MAIL_TRANSPORT = env.MAIL_TRANSPORT || 'console'; // console (redacted log line) | file (DATA_DIR/mail) | webhook
+  const EMAIL_LINK_BASE = (env.EMAIL_LINK_BASE || PUBLIC_URL).replace(/\/$/, ''); // where reset/verify links point
+  const AVATAR_MAX_KB = Number(env.AVATAR_MAX_KB || 2048); // largest profile photo accepted
+  const BACKUP_INTERVAL_HOURS = Number(env.BACKUP_INTERVAL_HOURS ?? 24); // snapshot schedule; 0 = cron/manual only
+  const BACKUP_KEEP = Number(env.BACKUP_KEEP || 14); // snapshots kept in DATA_DIR/backups
+  const CLUB_TZ = env.CLUB_TZ || 'America/New_York'; // default time zone for members' quiet hours
+  const CHAT_PUSH_BATCH_MS = Number(env.CHAT_PUSH_BATCH_SEC || 30) * 1000;             // wait this long to bundle chat pushes
+  const CHAT_PUSH_THROTTLE_MS = Number(env.CHAT_PUSH_THROTTLE_MIN || 10) * 60 * 1000;  // at most one room push per member per window (DMs/mentions exempt)
+  const expo = pushClient || new Expo();
+  const twilioClient = smsClient !== undefined ? smsClient
+    : (env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN) ? twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN)
+    : null;
+  const SMS_PROVIDER = customSms || env.SMS_PROVIDER || (twilioClient ? 'twilio' : 'none'); // twilio | webhook | console | file | none
+  const PUSH_PROVIDER = customPush || env.PUSH_PROVIDER || 'expo';                            // expo | webhook | console | file | none
+
+  // ---------- Rate limits (see server-ratelimit.js for names/defaults) ----------
+  const limits = createRateLimits(env);
+  const byIp = (req) => req.ip;
+  const byPhone = (req) => normalizeUS(req.body?.phone);
+
+  // ---------- Static admin ----------
+  app.use('/admin', express.static(path.join(__dirname, 'admin')));
+
+  // Avatars: random file names (new one per upload), so they're cacheable and unguessable
+  const avatars = createAvatarStore({ dir: path.join(DATA_DIR, 'avatars'), maxBytes: AVATAR_MAX_KB * 1024 });
+  app.use('/avatars', express.static(avatars.dir, { maxAge: '30d', immutable: true }));
+
+  // ---------- Helpers ----------
+  const nowMs = () => Date.now();
+  const byStatus = (status) => db.data.members.filter(m => m.status === status);
+
+  function makeToken() { return crypto.randomBytes(24).toString('hex'); }
+
+  // Normalize phone into +1XXXXXXXXXX (US) if possible
+  function normalizeUS(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    if (!digits) return '';
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    if ((phone || '').startsWith('+')) return phone;
+    return `+${digits}`;
+  }
+
+  // ---------- Notify (outbox: SMS + push; see server-outbox.js, server-notifier.js) ----------
+  // Every text and push (codes, meetings, reminders, announcements, chat) goes through these two
+  const DEV_OUTBOX_FILE = path.join(DATA_DIR, 'dev-outbox.jsonl');
+  const smsProvider = createSmsProvider({
+    provider: SMS_PROVIDER,
+    twilioClient, from: TWILIO_FROM,
+    statusCallback: PUBLIC_URL ? `${PUBLIC_URL}/twilio/status` : undefined,
+    url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN,
+    file: DEV_OUTBOX_FILE,
+  });
+  const pushProvider = createPushProvider({
+    provider: PUSH_PROVIDER,
+    db, expo, onReceipt: (ticketId, r) => outbox.recordReceipt(ticketId, r),
+    url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN,
+    file: DEV_OUTBOX_FILE,
+  });
+
+  const outbox = createOutbox({
+    db,
+    intervalMs: OUTBOX_INTERVAL_MS,
+    senders: {
+      sms: (job) => smsProvider.send({ to: job.to, body: job.body }),
+      async push(job) {
+        const { ids, errors } = await pushProvider.deliver(job.to, job, { jobId: job.id });
+        if (!ids.length && errors.length) {
+          const e = new Error(errors.map(x => x.error).join(', '));
+          e.permanent = errors.every(x => x.error === 'DeviceNotRegistered');
+          throw e;
+        }
+        return { providerIds: ids };
+      },
+    },
+  });
+
+  /**
+   * Queue one notification for a set of members. `type` is a NOTIFICATION_TYPES key;
+   * members' preferences and SMS opt-outs decide who gets what, quiet hours delay
+   * SMS and silence push (see server-preferences.js). Sending happens in the outbox.
+   * @param {any[]} members
+   * @param {{ type: string, batch: { kind: string, label: string, ref?: any },
+   *           sms?: string|null, push?: { title: string, body: string }|null, expiresAt?: number,
+   *           kick?: boolean }} note  kick: false leaves starting the worker to the caller
+   * @returns {Promise<{ batchId: string, sms: number, push: number }>} jobs queued per channel
+   */
+  async function notifyMembers(members, { type, batch, sms = null, push = null, expiresAt, kick = true }) {
+    const b = outbox.newBatch(batch);
+    const queued = { batchId: b.id, sms: 0, push: 0 };
+    for (const m of members) {
+      if (sms && smsProvider.enabled && wantsSms(m, type)) {
+        outbox.enqueue(b.id, { channel: 'sms', memberId: m.id, to: m.phone, body: sms, notBefore: quietUntil(m), expiresAt });
+        queued.sms++;
+      }
+      const mode = push && pushProvider.enabled ? pushMode(m, type) : 'off';
+      if (mode !== 'off') {
+        outbox.enqueue(b.id, { channel: 'push', memberId: m.id, to: m.expoTokens, ...push, silent: mode === 'silent', expiresAt });
+        queued.push++;
+      }
+    }
+    await db.write();
+    if (kick) outbox.kick();
+    return queued;
+  }
+
+  // ---------- OTP (persisted, hashed; see server-otp.js) ----------
+  if (!env.OTP_SECRET && !db.data.settings.otpSecret) {
+    db.data.settings.otpSecret = crypto.randomBytes(32).toString('hex');
+    await db.write();
+  }
+  const OTP_SECRET = env.OTP_SECRET || db.data.settings.otpSecret;
+  const otp = createOtpStore({
+    db,
+    secret: OTP_SECRET,
+    ttlMs: 10 * 60 * 1000,
+    cooldownMs: Number(env.OTP_RESEND_COOLDOWN_SEC ?? 60) * 1000,
+    maxAttempts: Number(env.OTP_MAX_ATTEMPTS || 5),
+  });
+  // Returning the code in the HTTP response lets anyone who knows a phone number sign in as that
+  // member: dev only, so it needs OTP_DEMO_CODE=on and is refused under NODE_ENV=production
+  const OTP_DEMO_CODE = ['on', 'true', '1'].includes(String(env.OTP_DEMO_CODE || 'off').toLowerCase())
+    && env.NODE_ENV !== 'production';
+  if (!OTP_DEMO_CODE && env.NODE_ENV === 'production' && env.OTP_DEMO_CODE) {
+    console.warn('OTP_DEMO_CODE is ignored when NODE_ENV=production');
+  }
+
+  // Drop expired codes every 10 minutes (started by listen())
+  let otpSweep = null;
+  const otpSweeper = {
+    start() {
+      if (otpSweep) return;
+      otpSweep = setInterval(async () => {
+        try {
+          await db.read();
+          if (otp.sweep()) await db.write();
+        } catch (e) { console.error('OTP sweep failed', e?.message || e); }
+      }, 10 * 60 * 1000);
+      otpSweep.unref();
+    },
+    stop() {
+      clearInterval(otpSweep);
+      otpSweep = null;
+    },
+  };
+
+
+  // ---------- Sessions ----------
+  const sessions = createSessions({ db, accessTtlMs: SESSION_TTL_MS, refreshTtlMs: REFRESH_TTL_MS });
+
+  // Raw OTP tokens stored on members (pre-sessions) become expiring sessions
+  for (const m of db.data.members) {
+    if (!m.sessionTokens) continue;
+    for (const t of m.sessionTokens) {
+      db.data.sessions.push({
+        id: nanoid(), memberId: m.id, method: 'sms', label: 'Signed in before session expiry', ip: '',
+        createdAt: m.createdAt || nowMs(), lastUsedAt: nowMs(),
+        tokenHash: hashToken(t), refreshHash: null,
+        expiresAt: nowMs() + SESSION_TTL_MS, refreshExpiresAt: nowMs() + SESSION_TTL_MS,
+      });
+    }
+    delete m.sessionTokens;
+  }
+  sessions.prune();
+  await db.write();
+
+  // Resolve a bearer token to { member, session } (approved members only)
+  async function authByToken(token) {
+    await db.read();
+    const session = sessions.resolve(token);
+    if (!session) return null;
+    const m = db.data.members.find(x => x.id === session.memberId);
+    return m && m.status === 'approved' ? { member: m, session } : null;
+  }
+
+  async function memberByToken(token) {
+    return (await authByToken(token))?.member || null;
+  }
+
+  // Same response for every login method
+  function startSession(req, member, method) {
+    const label = (req.body?.deviceLabel || '').toString();
+    return sessions.create(member, { method, label, ip: req.ip, userAgent: req.get('user-agent') || '' });
+  }
+
+  // Kick live sockets whose session was just revoked
+  function disconnectSessions(ids) {
+    if (!ids.length) return;
+    for (const [, socket] of io.of('/').sockets) {
+      if (ids.includes(socket.data.sessionId)) socket.disconnect(true);
+    }
+  }
+
+  async function requireAuth(req, res, next) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) return res.status(401).json({ ok:false, error:'auth required' });
+    const auth = await authByToken(token);
+    if (!auth) return res.status(401).json({ ok:false, error:'invalid session' });
+    req.member = auth.member;
+    req.session = auth.session;
+    next();
+  }
+  requireAuth.auth = 'member';
+
+  // ---------- Admin auth ----------
+  // Admin routes are authorized by the caller's own member session + role.
+  // The shared ADMIN_PIN only works to bootstrap a fresh install (no admin yet).
+  const isApprovedAdmin = (m) => m.status === 'approved' && memberRoles(m).includes('admin');
+  function hasAdminAccount() {
+    return db.data.members.some(isApprovedAdmin);
+  }
+  // The last approved admin can't be demoted, rejected or deleted: the PIN won't come back
+  function isLastAdmin(m) {
+    return isApprovedAdmin(m) && !db.data.members.some(x => x !== m && isApprovedAdmin(x));
+  }
+  const lastAdmin = (res) => res.status(409).json({ ok:false, error:'this is the last admin; make someone else admin first' });
+  if (!ADMIN_PIN && !hasAdminAccount()) {
+    console.warn('No admin account yet and ADMIN_PIN is not set: set ADMIN_PIN to bootstrap the first admin');
+  }
+  function isBootstrapPin(pin) {
+    return !!ADMIN_PIN && !!pin && pin === ADMIN_PIN && !hasAdminAccount();
+  }
+  function isAdminReq(req) {
+    const pin = (req.headers['x-admin-pin'] || '').toString().trim();
+    return isBootstrapPin(pin);
+  }
+
+  // While the PIN still unlocks anything, wrong X-Admin-Pin headers count toward
+  // the same per-IP lockout as /auth/admin. Returns false once it has responded.
+  function guardPinHeader(req, res) {
+    const pin = (req.headers['x-admin-pin'] || '').toString().trim();
+    if (!pin || !ADMIN_PIN || hasAdminAccount()) return true;
+    const r = limits.adminPinIp.check(req.ip);
+    if (!r.ok) { tooManyRequests(res, r); return false; }
+    if (isBootstrapPin(pin)) limits.adminPinIp.reset(req.ip);
+    else limits.adminPinIp.fail(req.ip);
+    return true;
+  }
+
+  function requirePermission(permission) {
+    const guard = async (req, res, next) => {
+      await db.read();
+      if (!guardPinHeader(req, res)) return;
+      if (isAdminReq(req)) return next();
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      if (!token) return res.status(401).json({ ok:false, error:'admin auth required' });
+      const auth = await authByToken(token);
+      if (!auth) return res.status(401).json({ ok:false, error:'invalid session' });
+      if (!hasPermission(auth.member, permission)) return res.status(403).json({ ok:false, error:`missing permission ${permission}` });
+      req.member = auth.member;
+      req.session = auth.session;
+      next();
+    };
+    return Object.assign(guard, { auth: 'staff', permission });
+  }
+
+  // Allow either a logged-in member (Bearer) OR the bootstrap PIN
+  async function requireMemberOrAdmin(req, res, next) {
+    await db.read();
+    if (!guardPinHeader(req, res)) return;
+    if (isAdminReq(req)) return next();
+    return requireAuth(req, res, next);
+  }
+  requireMemberOrAdmin.auth = 'memberOrAdmin';
+
+  // ---------- Health ----------
+  routes.get('/healthz', { summary: 'Liveness check', tags: ['meta'] }, (_req, res) => res.json({ ok: true }));
+
+  // ---------- Admin PIN check (no auto-login; UI must POST to this) ----------
+  routes.post('/auth/admin', {
+    summary: 'Check the bootstrap admin PIN',
+    description: 'Only works until an approved admin account exists; after that admins sign in like members.',
+    body: t.object({ pin: t.string({ minLength: 1, maxLength: 32 }) }, { required: ['pin'] }),
+    response: t.ok({ bootstrap: t.boolean() }),
+  }, async (req, res) => {
+    const { pin } = req.body || {};
+    await db.read();
+    if (hasAdminAccount()) return res.status(403).json({ ok:false, error:'PIN login is disabled; sign in with an admin account' });
+    const limit = limits.adminPinIp.check(req.ip);
+    if (!limit.ok) return tooManyRequests(res, limit);
+    const ok = isBootstrapPin((pin || '').toString().trim());
+    if (ok) limits.adminPinIp.reset(req.ip);
+    else limits.adminPinIp.fail(req.ip);
+    audit(req, ok ? 'auth.pin_unlock' : 'auth.pin_failed', null);
+    await db.write();
+    if (!ok) return res.status(401).json({ ok:false, error:'wrong PIN' });
+    res.json({ ok:true, bootstrap: true });
+  });
+
+  // ---------- Registration policy (see server-invites.js) ----------
+  // Both sign-up paths (/register and /addons/auth/register) go through this:
+  // a valid invite approves the member, otherwise they wait for an admin
+  // (or are turned away when REGISTRATION_MODE=invite).
+  const invites = createInvites({ db });
+
+  const registration = {
+    /** @returns {{ ok: true, invite: any|null } | { ok: false, status: number, error: string }} */
+    check(inviteCode) {
+      if (inviteCode) return invites.check(inviteCode);
+      if (REGISTRATION_MODE === 'invite') return { ok:false, status:403, error:'invite code required' };
+      return { ok:true, invite:null };
+    },
+    // Caller persists
+    admit(member, invite) {
+      if (invite) invites.redeem(invite, member);
+      else member.status = 'pending';
+    },
+  };
+
+  // ---------- Member registration & OTP login ----------
+  // { phone, name?, expoToken?, invite? } — an invite code also approves an existing pending signup.
+  // An `email` here is ignored: nothing proves it, so it's linked later through POST /me/email.
+  routes.post('/register', {
+    summary: 'Sign up with a phone number',
+    body: t.object({
+      phone: S.phone, name: t.string({ maxLength: 100 }),
+      email: t.string({ maxLength: 254, description: 'Ignored; link an email with POST /me/email once signed in' }),
+      expoToken: S.expoToken, invite: t.string({ maxLength: 64, description: 'Invite code: approves the sign-up' }),
+    }, { required: ['phone'] }),
+    response: t.ok({ status: t.enum(['pending', 'approved', 'rejected']), memberId: t.string() }),
+  }, rateLimit(limits.registerIp, byIp), async (req, res) => {
+    const { phone, name, expoToken, invite: inviteCode } = req.body || {};
+    const norm = normalizeUS(phone);
+    if (!norm) return res.status(400).json({ ok:false, error:'phone required' });
+
+    await db.read();
+    let m = memberByPhone(norm);
+    if (!m || (inviteCode && m.status === 'pending')) {
+      const admission = registration.check(inviteCode);
+      if (!admission.ok) return res.status(admission.status).json({ ok:false, error:admission.error });
+      if (!m) {
+        m = {
+          id: nanoid(),
+          phone: norm, name: name || '', email: '',
+          isAdmin: false,
+          expoTokens: [],
+          createdAt: nowMs(),
+        };
+        db.data.members.push(m);
+      }
+      registration.admit(m, admission.invite);
+    }
+    if (name && !m.name) m.name = name;
+    if (expoToken && !m.expoTokens.includes(expoToken)) m.expoTokens.push(expoToken);
+    await db.write();
+    res.json({ ok:true, status:m.status, memberId:m.id });
+  });
+
+  // ---- Add-on store adapter (the add-on's view of the shared db) ----
+  const addonStore = {
+    read: async () => { await db.read(); },
+    write: async () => { await db.write(); },
+
+    // members
+    getMembers: () => db.data.members || [],
+    setMembers: (arr) => { db.data.members = arr; },
+    findMemberByEmail: (email) => db.find('members', 'email', email, { caseless: true }),
+
+    // meetings
+    getMeetings: () => db.data.meetings || [],
+    setMeetings: (arr) => { db.data.meetings = arr; },
+  };
+
+  routes.post('/auth/request-code', {
+    summary: 'Text a login code',
+    body: t.object({ phone: S.phone }, { required: ['phone'] }),
+    response: t.ok({ sent: t.boolean(), demoCode: t.string({ description: 'Only when SMS is unavailable and OTP_DEMO_CODE=on (never in production)' }) }),
+  }, rateLimit(limits.otpRequestIp, byIp), rateLimit(limits.otpRequestPhone, byPhone), async (req, res) => {
+    const { phone } = req.body || {};
+    const norm = normalizeUS(phone);
+    if (!norm) return res.status(400).json({ ok:false, error:'phone required' });
+
+    await db.read();
+    const m = memberByPhone(norm);
+    if (!m) return res.status(404).json({ ok:false, error:'not registered' });
+    if (m.status !== 'approved') return res.status(403).json({ ok:false, error:m.status });
+
+    const issued = otp.issue(norm);
+    if (!issued.ok) return tooManyRequests(res, issued); // resend cooldown
+    await db.write();
+    await sendCode(res, m, norm, issued.code, { label: 'Login code', text: 'Snoot Club login code' });
+  });
+
+  // Text a one-time code now and answer the request (login, phone linking)
+  async function sendCode(res, member, phone, code, { label, text, purpose = 'login' }) {
+    if (smsProvider.enabled) {
+      // Through the outbox for the delivery record, but sent now so we can answer
+      const batch = outbox.newBatch({ kind: 'otp', label });
+      const job = outbox.enqueue(batch.id, {
+        channel: 'sms', memberId: member.id, to: phone,
+        body: `${text}: ${code} (valid 10 minutes).`,
+        sensitive: true, maxAttempts: 1, expiresAt: Date.now() + 10 * 60 * 1000,
+      });
+      await db.write();
+      const [sent] = await outbox.sendNow([job.id]);
+      if (sent?.status === 'sent') return res.json({ ok:true, sent:true });
+    }
+    if (!OTP_DEMO_CODE) {
+      otp.discard(phone, { purpose });
+      await db.write();
+      return res.status(503).json({ ok:false, error:'could not send code' });
+    }
+    // dev fallback (OTP_DEMO_CODE=on): no SMS provider, or a Twilio trial that can't reach the number
+    res.json({ ok:true, sent:false, demoCode: code });
+  }
+
+  routes.post('/auth/verify-code', {
+    summary: 'Sign in with a texted code',
+    body: t.object({ phone: S.phone, code: S.otpCode, expoToken: S.expoToken, deviceLabel: t.string({ maxLength: 100 }) }, { required: ['phone', 'code'] }),
+    response: S.responses.Login,
+  }, rateLimit(limits.otpVerifyIp, byIp), async (req, res) => {
+    const { phone, code, expoToken } = req.body || {};
+    const norm = normalizeUS(phone);
+    if (!norm || !code) return res.status(400).json({ ok:false, error:'phone & code required' });
+
+    const limit = limits.otpVerifyPhone.check(norm);
+    if (!limit.ok) return tooManyRequests(res, limit);
+
+    await db.read();
+    const m = memberByPhone(norm);
+    if (!m || m.status !== 'approved') return res.status(403).json({ ok:false });
+
+    const check = otp.verify(norm, code);
+    if (!check.ok) {
+      limits.otpVerifyPhone.fail(norm);
+      await db.write(); // attempt counter
+      return res.status(401).json({ ok:false, error: check.reason === 'expired' ? 'code expired' : 'bad code' });
+    }
+    limits.otpVerifyPhone.reset(norm);
+
+    const session = startSession(req, m, 'sms');
+    if (expoToken && !m.expoTokens.includes(expoToken)) m.expoTokens.push(expoToken);
+    await db.write();
+
+    res.json({ ok:true, ...session, member: { id:m.id, name:m.name, email:m.email, phone:m.phone } });
+  });
+
+  // Swap a refresh token for a fresh token pair (works for SMS and password logins alike)
+  routes.post('/auth/refresh', {
+    summary: 'Swap a refresh token for a new token pair',
+    body: t.object({ refreshToken: t.string({ minLength: 1 }) }, { required: ['refreshToken'] }),
+    response: t.ok({}, t.ref('TokenPair')),
+  }, rateLimit(limits.refreshIp, byIp), async (req, res) => {
+    const refreshToken = (req.body?.refreshToken || '').toString();
+    if (!refreshToken) return res.status(400).json({ ok:false, error:'refreshToken required' });
+    await db.read();
+    const pair = sessions.refresh(refreshToken);
+    await db.write();
+    if (!pair) return res.status(401).json({ ok:false, error:'invalid refresh token' });
+    res.json({ ok:true, ...pair });
+  });
+
+  routes.post('/auth/logout', { summary: 'Sign out this device' }, requireAuth, async (req, res) => {
+    sessions.revoke(req.session.id);
+    await db.write();
+    disconnectSessions([req.session.id]);
+    res.json({ ok:true });
+  });
+
+  routes.get('/me/sessions', {
+    summary: 'Devices signed in to your account',
+    response: t.ok({ sessions: t.array(t.ref('Session')) }),
+  }, requireAuth, (req, res) => {
+    res.json({ ok:true, sessions: sessions.listFor(req.member.id).map(s => sessions.view(s, req.session.id)) });
+  });
+
+  // Revoke one session (e.g. a lost phone)
+  routes.delete('/me/sessions/:id', { summary: 'Sign out one device' }, requireAuth, async (req, res) => {
+    const s = sessions.listFor(req.member.id).find(x => x.id === req.params.id);
+    if (!s) return res.status(404).json({ ok:false, error:'session not found' });
+    sessions.revoke(s.id);
+    await db.write();
+    disconnectSessions([s.id]);
+    res.json({ ok:true });
+  });
+
+  // Sign out everywhere; ?keepCurrent=1 keeps the calling device signed in
+  routes.delete('/me/sessions', {
+    summary: 'Sign out everywhere',
+    query: t.object({ keepCurrent: t.boolean({ description: 'Keep this device signed in' }) }),
+    response: t.ok({ revoked: t.integer() }),
+  }, requireAuth, async (req, res) => {
+    const keep = ['1', 'true'].includes(String(req.query.keepCurrent));
+    const revoked = sessions.revokeAll(req.member.id, { except: keep ? req.session.id : undefined });
+    await db.write();
+    disconnectSessions(revoked);
+    res.json({ ok:true, revoked: revoked.length });
+  });
+
+  function meView(m) {
+    return { id:m.id, name:m.name, email:m.email, phone:m.phone, status:m.status,
+      emailVerified: !!m.emailVerifiedAt, hasPassword: !!m.passwordHash,
+      profile: profileOf(m),
+      roles: memberRoles(m), permissions: memberPermissions(m), isStaff: isStaff(m),
+      unread: chat.unreadCounts(m) };
+  }
+
+  routes.get('/me', { summary: 'Your account', response: t.ok({}, t.ref('Me')) }, requireAuth, (req, res) => {
+    res.json({ ok:true, ...meView(req.member) });
+  });
+
+  // ---------- Profile & directory (see server-profiles.js) ----------
+  // { name?, bio?, pets?: [{ name, breed }], privacy?: { phone, email: 'members'|'private', listed } }
+  routes.patch('/me', {
+    summary: 'Edit your profile',
+    body: t.object({
+      name: t.string(), bio: t.string(),
+      pets: t.array(t.ref('Pet')),
+      privacy: t.object({ phone: t.enum(['members', 'private']), email: t.enum(['members', 'private']), listed: t.boolean() }),
+    }),
+    response: t.ok({}, t.ref('Me')),
+  }, requireAuth, async (req, res) => {
+    const m = req.member;
+    const r = mergeProfile(m, req.body || {});
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    Object.assign(m, r.changes);
+    await db.write();
+    res.json({ ok:true, ...meView(m) });
+  });
+
+  // Raw image body (Content-Type: image/png, image/jpeg, image/webp or image/gif)
+  const avatarBody = express.raw({ type: AVATAR_TYPES, limit: avatars.maxBytes });
+  function readAvatar(req, res, next) {
+    avatarBody(req, res, (err) => {
+      if (!err) return next();
+      const tooBig = err.type === 'entity.too.large';
+      res.status(tooBig ? 413 : 400).json({ ok:false, error: tooBig ? `avatar too large (max ${AVATAR_MAX_KB} KB)` : 'could not read upload' });
+    });
+  }
+
+  routes.put('/me/avatar', {
+    summary: 'Upload a profile photo',
+    bodyType: AVATAR_TYPES,
+    response: t.ok({ avatarUrl: t.string() }),
+  }, requireAuth, readAvatar, async (req, res) => {
+    const m = req.member;
+    const r = await avatars.save(m, req.body, req.get('content-type'));
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    await db.write();
+    res.json({ ok:true, avatarUrl: r.avatarUrl });
+  });
+
+  routes.delete('/me/avatar', { summary: 'Remove your profile photo' }, requireAuth, async (req, res) => {
+    avatars.remove(req.member);
+    await db.write();
+    res.json({ ok:true });
+  });
+
+  // Approved members who haven't unlisted themselves; ?q= matches names, pet names and breeds
+  routes.get('/directory', {
+    summary: 'Member directory',
+    query: t.object({ q: t.string({ maxLength: 100, description: 'Matches names, pet names and breeds' }) }),
+    response: t.ok({ members: t.array(t.ref('DirectoryEntry')) }),
+  }, requireAuth, async (req, res) => {
+    await db.read();
+    res.json({ ok:true, members: searchDirectory(db.data.members, req.query.q?.toString()) });
+  });
+
+  routes.get('/directory/:id', {
+    summary: 'One directory entry',
+    response: t.ok({ member: t.ref('DirectoryEntry') }),
+  }, requireAuth, async (req, res) => {
+    await db.read();
+    const m = db.data.members.find(x => x.id === req.params.id && x.status === 'approved');
+    if (!m || (!profileOf(m).privacy.listed && m.id !== req.member.id)) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true, member: directoryEntry(m) });
+  });
+
+  // ---------- Email & account linking (see server-accounts.js, server-mailer.js) ----------
+  // One member record per person: an SMS member links an email (then may add a
+  // password via /addons/auth/password), an email member links a phone.
+  if (MAIL_TRANSPORT === 'console' && env.NODE_ENV === 'production') {
+    console.warn('MAIL_TRANSPORT is console: verification and password-reset emails are not delivered');
+  }
+  const mailer = createMailer({
+    transport: MAIL_TRANSPORT,
+    from: env.MAIL_FROM || 'Snoot Club <no-reply@localhost>',
+    dir: path.join(DATA_DIR, 'mail'),
+    url: env.MAIL_WEBHOOK_URL,
+    token: env.MAIL_WEBHOOK_TOKEN,
+  });
+
+  const accounts = createAccounts({
+    db, mailer, linkBase: EMAIL_LINK_BASE,
+    async signOutEverywhere(member) {
+      const revoked = sessions.revokeAll(member.id);
+      await db.write();
+      disconnectSessions(revoked);
+    },
+  });
+
+  // Start linking (or re-verifying) an email: { email }. It's set once the emailed link is confirmed.
+  routes.post('/me/email', {
+    summary: 'Link or re-verify an email address',
+    description: 'Emails a confirmation link; the address is set once it is followed.',
+    body: t.object({ email: t.email() }, { required: ['email'] }),
+    response: t.ok({ alreadyVerified: t.boolean() }),
+  }, requireAuth, rateLimit(limits.emailSendIp, byIp), async (req, res) => {
+    const email = cleanEmail(req.body?.email);
+    if (!email) return res.status(400).json({ ok:false, error:'email required' });
+    const limit = limits.emailSendAddress.hit(email);
+    if (!limit.ok) return tooManyRequests(res, limit);
+    const r = await accounts.sendVerification(req.member, email);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, alreadyVerified: !!r.alreadyVerified });
+  });
+
+  const phoneOwner = (phone, exceptId) => db.data.members.find(x => x.phone === phone && x.id !== exceptId);
+
+  // Link a phone: { phone } texts a code, then /me/phone/verify { phone, code }
+  routes.post('/me/phone', {
+    summary: 'Link a phone number (texts a code)',
+    body: t.object({ phone: S.phone }, { required: ['phone'] }),
+    response: t.ok({ sent: t.boolean(), alreadyLinked: t.boolean(), demoCode: t.string() }),
+  }, requireAuth, rateLimit(limits.otpRequestIp, byIp), rateLimit(limits.otpRequestPhone, byPhone), async (req, res) => {
+    const norm = normalizeUS(req.body?.phone);
+    if (!norm) return res.status(400).json({ ok:false, error:'phone required' });
+    if (phoneOwner(norm, req.member.id)) return res.status(409).json({ ok:false, error:'phone belongs to another account' });
+    if (req.member.phone === norm) return res.json({ ok:true, alreadyLinked:true });
+
+    const issued = otp.issue(norm, { purpose: 'link' });
+    if (!issued.ok) return tooManyRequests(res, issued);
+    await db.write();
+    await sendCode(res, req.member, norm, issued.code, { label: 'Phone link code', text: 'Snoot Club code to add this phone', purpose: 'link' });
+  });
+
+  routes.post('/me/phone/verify', {
+    summary: 'Confirm a phone number with the texted code',
+    body: t.object({ phone: S.phone, code: S.otpCode }, { required: ['phone', 'code'] }),
+    response: t.ok({}, t.ref('Me')),
+  }, requireAuth, rateLimit(limits.otpVerifyIp, byIp), async (req, res) => {
+    const norm = normalizeUS(req.body?.phone);
+    if (!norm || !req.body?.code) return res.status(400).json({ ok:false, error:'phone & code required' });
+    const limit = limits.otpVerifyPhone.check(norm);
+    if (!limit.ok) return tooManyRequests(res, limit);
+
+    const check = otp.verify(norm, req.body.code, { purpose: 'link' });
+    if (!check.ok) {
+      limits.otpVerifyPhone.fail(norm);
+      await db.write();
+      return res.status(401).json({ ok:false, error: check.reason === 'expired' ? 'code expired' : 'bad code' });
+    }
+    limits.otpVerifyPhone.reset(norm);
+    if (phoneOwner(norm, req.member.id)) {
+      await db.write();
+      return res.status(409).json({ ok:false, error:'phone belongs to another account' });
+    }
+    req.member.phone = norm;
+    await db.write();
+    res.json({ ok:true, ...meView(req.member) });
+  });
+
+  // ---------- Notification preferences (see server-preferences.js) ----------
+  function preferencesView(m) {
+    return { ok:true, ...preferencesOf(m), types: NOTIFICATION_TYPES, smsOptOut: m.smsOptOut || null };
+  }
+
+  routes.get('/me/preferences', { summary: 'Your notification preferences', response: t.ok({}, t.ref('Preferences')) }, requireAuth, (req, res) => {
+    res.json(preferencesView(req.member));
+  });
+
+  // { channels?: { meetings: { sms: false } }, quietHours?: { start, end, tz? } | null, smsOptOut?: boolean }
+  routes.put('/me/preferences', {
+    summary: 'Change notification preferences',
+    body: t.object({
+      channels: t.object({}, { additionalProperties: t.object({ sms: t.boolean(), push: t.boolean() }) }),
+      quietHours: t.nullable(t.object({ start: t.string(), end: t.string(), tz: t.string() }, { required: ['start', 'end'] })),
+      smsOptOut: t.boolean(),
+    }),
+    response: t.ok({}, t.ref('Preferences')),
+  }, requireAuth, async (req, res) => {
+    const m = req.member;
+    const r = mergePreferences(m, req.body || {}, CLUB_TZ);
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    const { smsOptOut } = req.body || {};
+    if (smsOptOut === true && !m.smsOptOut) m.smsOptOut = { at: Date.now(), via: 'app' };
+    if (smsOptOut === false && m.smsOptOut) {
+      // Carriers require the member to text START after a STOP
+      if (m.smsOptOut.via === 'keyword') return res.status(409).json({ ok:false, error:'text START to the club number to turn texts back on' });
+      delete m.smsOptOut;
+    }
+    m.preferences = r.preferences;
+    await db.write();
+    res.json(preferencesView(m));
+  });
+
+  // ---------- Inbound SMS (Twilio webhook: STOP / START / HELP) ----------
+  // Point the number's "A message comes in" webhook at POST /twilio/inbound.
+  // Signed with TWILIO_AUTH_TOKEN; without one nothing can be checked, so both webhooks
+  // are refused (TWILIO_VALIDATE=off skips the check for local testing, never in production).
+  function validTwilioRequest(req) {
+    const authToken = env.TWILIO_AUTH_TOKEN;
+    if (env.TWILIO_VALIDATE === 'off' && env.NODE_ENV !== 'production') return true;
+    if (!authToken) return false;
+    const url = (PUBLIC_URL || `${req.protocol}://${req.get('host')}`) + req.originalUrl;
+    return twilio.validateRequest(authToken, req.get('x-twilio-signature') || '', url, req.body || {});
+  }
+
+  routes.post('/twilio/inbound', {
+    summary: 'Incoming SMS webhook (STOP / START / HELP)',
+    tags: ['webhooks'], auth: 'twilio', bodyType: 'application/x-www-form-urlencoded', produces: 'text/xml',
+  }, bodyParser.urlencoded({ extended: false }), async (req, res) => {
+    if (!validTwilioRequest(req)) return res.status(403).send('invalid signature');
+    const keyword = smsKeyword(req.body?.Body);
+    const from = normalizeUS(req.body?.From);
+    const reply = new twilio.twiml.MessagingResponse();
+
+    if (keyword && from) {
+      await db.read();
+      const matches = db.data.members.filter(m => m.phone === from);
+      if (keyword === 'stop') {
+        for (const m of matches) m.smsOptOut = { at: Date.now(), via: 'keyword' };
+        reply.message('Snoot Club: you are unsubscribed and will get no more texts. Reply START to resubscribe.');
+      } else if (keyword === 'start') {
+        for (const m of matches) delete m.smsOptOut;
+        reply.message('Snoot Club: you are resubscribed to club texts. Reply STOP to opt out, HELP for help.');
+      } else {
+        reply.message('Snoot Club: meeting updates and reminders. Manage notifications in the app. Reply STOP to opt out. Msg & data rates may apply.');
+      }
+      if (keyword !== 'help' && matches.length) await db.write();
+    }
+    res.type('text/xml').send(reply.toString());
+  });
+
+  // Twilio message status callback (set automatically when PUBLIC_URL is known)
+  routes.post('/twilio/status', {
+    summary: 'SMS delivery status webhook',
+    tags: ['webhooks'], auth: 'twilio', bodyType: 'application/x-www-form-urlencoded', produces: 'text/plain',
+  }, bodyParser.urlencoded({ extended: false }), async (req, res) => {
+    if (!validTwilioRequest(req)) return res.status(403).send('invalid signature');
+    const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+    if (['delivered', 'undelivered', 'failed'].includes(MessageStatus)) {
+      await db.read();
+      const job = outbox.recordStatus(MessageSid, {
+        delivered: MessageStatus === 'delivered',
+        error: ErrorCode ? `${MessageStatus} (Twilio ${ErrorCode})` : MessageStatus,
+      });
+      if (job) await db.write();
+    }
+    res.sendStatus(204);
+  });
+
+  // ---------- Chat (rooms + messages; see server-chat.js) ----------
+  const moderation = createModeration({ db, defaultWords: cleanWords(env.CHAT_BLOCKED_WORDS) });
+  const chat = createChat({ db, moderation });
+  chat.migrate();
+  await db.write();
+
+  // ---------- Audit ----------
+  const auditLog = createAuditLog({ db });
+
+  // Who is acting: the staff member's session, or the bootstrap PIN
+  function actorOf(req) {
+    if (req.member) return { id: req.member.id, name: req.member.name || req.member.email || req.member.phone || '', via: 'session' };
+    return { id: 'pin', name: 'Admin PIN', via: 'pin' };
+  }
+  const memberLabel = (m) => m.name || m.email || m.phone || m.id;
+  const meetingLabel = (meet) => `${meet.title} (${new Date(meet.startsAt).toLocaleString()})`;
+
+  function audit(req, action, target, before = null, after = null) {
+    return auditLog.record({ actor: actorOf(req), action, target, before, after, ip: req.ip });
+  }
+  const memberTarget = (m) => ({ type: 'member', id: m.id, label: memberLabel(m) });
+  const meetingTarget = (meet) => ({ type: 'meeting', id: meet.id, label: meetingLabel(meet) });
+
+  routes.get('/admin/audit', {
+    summary: 'Audit log, newest first',
+    query: t.object({
+      actor: t.string({ description: 'Actor id' }), action: t.string({ description: 'Action or prefix (e.g. member.)' }),
+      from: t.string({ description: 'ISO date or epoch ms' }), to: t.string({ description: 'ISO date or epoch ms' }),
+      limit: t.integer({ minimum: 1, maximum: 200 }), cursor: t.string(),
+    }),
+    response: t.ok({ entries: t.array(t.ref('AuditEntry')), nextCursor: t.nullable(t.string()) }),
+  }, requirePermission('audit:read'), async (req, res) => {
+    const { actor, action, from, to, limit, cursor } = req.query;
+    const ms = (v) => (v ? new Date(isNaN(v) ? v : Number(v)).getTime() || undefined : undefined);
+    await db.read();
+    res.json({ ok:true, ...auditLog.query({ actor, action, from: ms(from), to: ms(to), limit, cursor }) });
+  });
+
+  // ---------- Admin: members ----------
+  // Listed field by field so credentials (passwordHash, feedToken) and profile/preference data never reach staff
+  function memberAdminView(m) {
+    const inviter = m.invitedBy && db.data.members.find(x => x.id === m.invitedBy);
+    return {
+      id: m.id, name: m.name, email: m.email, phone: m.phone, status: m.status,
+      isAdmin: !!m.isAdmin, roles: memberRoles(m), createdAt: m.createdAt, approvedAt: m.approvedAt,
+      expoTokens: m.expoTokens || [], emailVerified: !!m.emailVerifiedAt, smsOptOut: m.smsOptOut || null,
+      chat: moderation.statusOf(m.id),
+      ...(m.invitedBy ? { invitedBy: m.invitedBy, invitedByName: inviter ? memberLabel(inviter) : m.invitedBy === 'pin' ? 'Admin PIN' : 'former member' } : {}),
+    };
+  }
+
+  routes.get('/members', {
+    summary: 'All members (staff view)',
+    query: t.object({ status: t.enum(['pending', 'approved', 'rejected']) }),
+    response: t.ok({ members: t.array(t.ref('MemberAdmin')) }),
+  }, requirePermission('members:read'), async (req, res) => {
+    const { status } = req.query;
+    await db.read();
+    const list = status ? byStatus(status) : db.data.members;
+    res.json({ ok:true, members: list.map(memberAdminView) });
+  });
+  routes.post('/members/:id/approve', { summary: 'Approve a sign-up' }, requirePermission('members:manage'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    audit(req, 'member.approve', memberTarget(m), { status: m.status }, { status: 'approved' });
+    m.status = 'approved';
+    await db.write();
+    res.json({ ok:true });
+  });
+  routes.post('/members/:id/reject', { summary: 'Reject a member (signs them out)' }, requirePermission('members:manage'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    if (isLastAdmin(m)) return lastAdmin(res);
+    audit(req, 'member.reject', memberTarget(m), { status: m.status }, { status: 'rejected' });
+    m.status = 'rejected';
+    const revoked = sessions.revokeAll(m.id);
+    await db.write();
+    disconnectSessions(revoked);
+    res.json({ ok:true });
+  });
+  routes.post('/members/:id/make-admin', { summary: 'Give a member the admin role' }, requirePermission('members:roles'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    audit(req, 'member.make-admin', memberTarget(m), { roles: memberRoles(m) }, { roles: memberRoles({ ...m, isAdmin: true }) });
+    m.isAdmin = true;
+    await db.write();
+    res.json({ ok:true });
+  });
+  routes.post('/members/:id/remove-admin', { summary: 'Take the admin role away' }, requirePermission('members:roles'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    if (isLastAdmin(m)) return lastAdmin(res);
+    audit(req, 'member.remove-admin', memberTarget(m), { roles: memberRoles(m) }, { roles: memberRoles({ ...m, isAdmin: false }) });
+    m.isAdmin = false;
+    await db.write();
+    res.json({ ok:true });
+  });
+  routes.post('/members/:id/roles', {
+    summary: "Replace a member's roles",
+    body: t.object({ roles: t.array(t.enum(Object.keys(ROLES))) }, { required: ['roles'] }),
+    response: t.ok({ roles: t.array(t.string()) }),
+  }, requirePermission('members:roles'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    const roles = cleanRoles(req.body?.roles);
+    if (!roles.includes('admin') && isLastAdmin(m)) return lastAdmin(res);
+    const before = memberRoles(m);
+    m.isAdmin = roles.includes('admin');
+    m.roles = roles.filter(r => r !== 'admin');
+    audit(req, 'member.roles', memberTarget(m), { roles: before }, { roles: memberRoles(m) });
+    await db.write();
+    res.json({ ok:true, roles: memberRoles(m) });
+  });
+  routes.get('/roles', {
+    summary: 'Roles and the permissions each grants',
+    tags: ['members'],
+    response: t.ok({ roles: t.object({}, { additionalProperties: t.any() }) }),
+  }, requirePermission('members:read'), (_req, res) => {
+    res.json({ ok:true, roles: ROLES });
+  });
+  // Erases the member's personal data too (see server-privacy.js), same as DELETE /me
+  routes.delete('/members/:id', { summary: 'Delete a member and erase their data' }, requirePermission('members:manage'), async (req, res) => {
+    const m = db.data.members.find(x => x.id === req.params.id);
+    if (!m) return res.status(404).json({ ok:false });
+    if (isLastAdmin(m)) return lastAdmin(res);
+    audit(req, 'member.delete', memberTarget(m));
+    await eraseMember(m);
+    res.json({ ok:true });
+  });
+
+  // ---------- Your data: export & erasure (see server-privacy.js) ----------
+  const privacy = createPrivacy({ db, sessions, avatars, audit: auditLog });
+
+  // Erase, persist, then sign out their devices and offer freed meeting spots
+  async function eraseMember(m) {
+    const { sessionIds, promoted } = privacy.erase(m);
+    await db.write();
+    disconnectSessions(sessionIds);
+    for (const { meeting, memberIds } of promoted) {
+      if (startMs(meeting) > nowMs()) await notifyPromoted(meeting, memberIds);
+    }
+  }
+
+  routes.get('/me/export', {
+    summary: 'Download everything the club holds about you',
+    description: 'Sent as an attachment; the document itself has no `ok` field.',
+    response: t.ref('DataExport'),
+  }, requireAuth, (req, res) => {
+    res.set('Content-Disposition', `attachment; filename="snoot-club-${req.member.id}.json"`);
+    res.json(privacy.exportData(req.member));
+  });
+
+  // { confirm: true } — permanent: the account can't be restored, only signed up again
+  routes.delete('/me', {
+    summary: 'Delete your account and erase your data',
+    body: t.object({ confirm: { const: true, description: 'Must be true: the account cannot be restored' } }, { required: ['confirm'] }),
+  }, requireAuth, async (req, res) => {
+    if (isLastAdmin(req.member)) return lastAdmin(res);
+    audit(req, 'member.erase', memberTarget(req.member));
+    await eraseMember(req.member);
+    res.json({ ok:true });
+  });
+
+  // ---------- Admin: invites ----------
+  function inviteView(invite) {
+    const names = new Map(db.data.members.map(m => [m.id, memberLabel(m)]));
+    const v = invites.view(invite);
+    return {
+      ...v,
+      link: INVITE_LINK_BASE ? `${INVITE_LINK_BASE}?code=${v.code}` : null,
+      createdByName: names.get(v.createdBy) || 'Admin PIN',
+      redemptions: v.redemptions.map(r => ({ ...r, name: names.get(r.memberId) || 'former member' })),
+    };
+  }
+  const inviteTarget = (i) => ({ type: 'invite', id: i.id, label: i.note ? `${i.code} (${i.note})` : i.code });
+
+  routes.get('/admin/invites', {
+    summary: 'Invite codes',
+    response: t.ok({ mode: t.enum(['approval', 'invite']), invites: t.array(t.ref('Invite')) }),
+  }, requirePermission('members:manage'), (_req, res) => {
+    res.json({ ok:true, mode: REGISTRATION_MODE, invites: invites.list().map(inviteView) });
+  });
+
+  // { maxUses?: number|null (default 1), expiresInDays?: number|null, note? }
+  routes.post('/admin/invites', {
+    summary: 'Create an invite code',
+    body: t.object({
+      maxUses: t.nullable(t.integer({ minimum: 0, maximum: 1000, description: 'Default 1; null or 0 = unlimited' })),
+      expiresInDays: t.nullable(t.number({ description: '1-365; null = never' })),
+      note: t.string(),
+    }),
+    response: t.ok({ invite: t.ref('Invite') }),
+  }, requirePermission('members:manage'), async (req, res) => {
+    const r = invites.create(req.body || {}, actorOf(req).id);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'invite.create', inviteTarget(r.invite), null, { maxUses: r.invite.maxUses, expiresAt: r.invite.expiresAt });
+    await db.write();
+    res.json({ ok:true, invite: inviteView(r.invite) });
+  });
+
+  routes.post('/admin/invites/:id/revoke', {
+    summary: 'Revoke an invite code',
+    response: t.ok({ invite: t.ref('Invite') }),
+  }, requirePermission('members:manage'), async (req, res) => {
+    const r = invites.revoke(req.params.id);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'invite.revoke', inviteTarget(r.invite), { uses: r.invite.uses }, null);
+    await db.write();
+    res.json({ ok:true, invite: inviteView(r.invite) });
+  });
+
+  // ---------- Meetings ----------
+  const findMeeting = (id) => db.data.meetings.find(x => x.id === id);
+  const findSeries  = (id) => db.data.series.find(x => x.id === id);
+  const startMs = (meet) => new Date(meet.startsAt).getTime();
+
+  // Fields an admin may set on a meeting (or a series template)
+  function meetingFields(src) {
+    const out = {};
+    for (const k of ['title', 'description', 'location']) {
+      if (src[k] !== undefined) out[k] = String(src[k] ?? '');
+    }
+    if (src.startsAt !== undefined) out.startsAt = src.startsAt;
+    if (src.reminderMinutes !== undefined) out.reminderMinutes = Number(src.reminderMinutes) || 60;
+    if (src.capacity !== undefined) out.capacity = Number(src.capacity) > 0 ? Math.floor(Number(src.capacity)) : null;
+    if (Array.isArray(src.reminderOffsets)) out.reminderOffsets = src.reminderOffsets.map(Number).filter(n => n > 0);
+    return out;
+  }
+
+  function buildMeeting(m, extra = {}) {
+    const meeting = {
+      id: nanoid(),
+      title: m.title,
+      description: m.description || '',
+      location: m.location || '',
+      startsAt: m.startsAt,
+      reminderMinutes: m.reminderMinutes || 60,
+      ...(Array.isArray(m.reminderOffsets) ? { reminderOffsets: m.reminderOffsets } : {}),
+      capacity: Number(m.capacity) > 0 ? Math.floor(Number(m.capacity)) : null,
+      rsvps: [],
+      remindersSent: [],
+      createdAt: nowMs(),
+      ...extra,
+    };
+    skipPastReminders(meeting, REMINDER_OFFSETS);
+    return meeting;
+  }
+
+  // Upcoming window for a series; a series starting far out still gets its first occurrences
+  function seriesWindow(series) {
+    const from = nowMs();
+    const to = Math.max(from, new Date(series.startsAt).getTime()) + SERIES_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+    return { from: new Date(from), to: new Date(to) };
+  }
+
+  // Expand a series into concrete meetings up to the horizon. Occurrences that
+  // already exist (edited, cancelled, RSVP'd) or were deleted are left alone.
+  function materializeSeries(series) {
+    const have = new Set(db.data.meetings.filter(x => x.seriesId === series.id).map(x => x.occurrenceKey));
+    const skip = new Set(series.exceptions || []);
+    const created = [];
+    for (const d of expandRecurrence(series, seriesWindow(series))) {
+      const key = d.toISOString();
+      if (have.has(key) || skip.has(key)) continue;
+      const meeting = buildMeeting({ ...series, startsAt: key }, { seriesId: series.id, occurrenceKey: key });
+      db.data.meetings.push(meeting);
+      created.push(meeting);
+    }
+    return created;
+  }
+  function hasUpcoming(series) {
+    return expandRecurrence(series, seriesWindow(series)).length > 0;
+  }
+  function materializeAllSeries() {
+    return db.data.series.reduce((n, series) => n + materializeSeries(series).length, 0);
+  }
+
+  // Occurrences of a series from `meeting` onward (the "this and following" scope)
+  function followingOccurrences(series, meeting, { includeDetached = false } = {}) {
+    return db.data.meetings
+      .filter(x => x.seriesId === series.id && startMs(x) >= startMs(meeting))
+      .filter(x => x.id === meeting.id || includeDetached || !x.detached)
+      .sort((a, b) => startMs(a) - startMs(b));
+  }
+
+  // Stop a series from generating anything at or after `meeting`
+  function endSeriesBefore(series, meeting) {
+    const key = meeting.occurrenceKey || new Date(meeting.startsAt).toISOString();
+    series.recurrence = { ...series.recurrence, until: new Date(new Date(key).getTime() - 1).toISOString() };
+  }
+
+  // Apply edits; a new start time re-arms the reminders
+  function applyMeetingChanges(meeting, changes) {
+    const timeChanged = changes.startsAt !== undefined && startMs(meeting) !== new Date(changes.startsAt).getTime();
+    const placeChanged = changes.location !== undefined && changes.location !== meeting.location;
+    const capacityChanged = changes.capacity !== undefined && changes.capacity !== meeting.capacity;
+    const remindersChanged = changes.reminderMinutes !== undefined || changes.reminderOffsets !== undefined;
+    Object.assign(meeting, changes);
+    meeting.sequence = (meeting.sequence || 0) + 1; // calendar clients compare this
+    meeting.updatedAt = nowMs();
+    if (timeChanged) meeting.remindersSent = [];
+    if (timeChanged || remindersChanged) skipPastReminders(meeting, REMINDER_OFFSETS);
+    const promoted = capacityChanged ? promoteWaitlist(meeting) : [];
+    return { timeChanged, placeChanged, promoted };
+  }
+
+  // Members see counts + their own RSVP, not everyone's raw entries
+  function meetingView(meeting, memberId) {
+    const { rsvps, remindersSent, ...rest } = meeting;
+    return { ...rest, counts: rsvpCounts(meeting), myRsvp: rsvpFor(meeting, memberId) };
+  }
+
+  // `batch` labels the delivery report: { kind: 'meeting.create', label, ref }
+  function notifyApproved(smsBody, pushTitle, pushBody, batch, { sms = true, push = true } = {}) {
+    return notifyMembers(byStatus('approved'), {
+      type: 'meetings', batch,
+      sms: sms ? `${smsBody} Reply STOP to opt out.` : null,
+      push: push ? { title: pushTitle, body: pushBody } : null,
+    });
+  }
+  const meetingRef = (meeting) => ({ type: 'meeting', id: meeting.id });
+
+  async function notifyPromoted(meeting, memberIds) {
+    if (!memberIds.length || meeting.cancelled) return;
+    const promoted = db.data.members.filter(x => memberIds.includes(x.id));
+    const when = new Date(meeting.startsAt).toLocaleString();
+    await notifyMembers(promoted, {
+      type: 'waitlist',
+      batch: { kind: 'meeting.waitlist', label: `Waitlist: ${meeting.title}`, ref: meetingRef(meeting) },
+      sms: `Snoot Club: a spot opened up — you're confirmed for ${meeting.title} on ${when}. Reply STOP to opt out.`,
+      push: { title: 'Snoot Club — You\'re in!', body: `A spot opened up for ${meeting.title} @ ${meeting.location || 'TBA'}` },
+      expiresAt: startMs(meeting),
+    });
+  }
+
+  routes.get('/meetings', {
+    summary: 'All meetings, soonest first',
+    response: t.ok({ meetings: t.array(t.ref('Meeting')) }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    if (materializeAllSeries()) await db.write();
+    // Older records may predate startsAt validation; keep them out of the way rather than breaking the order
+    const sorted = db.data.meetings.sort((a, b) => (startMs(a) || 0) - (startMs(b) || 0));
+    res.json({ ok:true, meetings: sorted.map(meet => meetingView(meet, req.member?.id)) });
+  });
+
+  routes.post('/meetings', {
+    summary: 'Create a meeting or a recurring series',
+    description: 'Notifies approved members by SMS and push unless sendSms / sendPush are false.',
+    body: S.meetingCreate,
+    response: t.ok({}, t.ref('Meeting')),
+  }, requirePermission('meetings:manage'), async (req, res) => {
+    const m = req.body || {};
+    let meeting;
+    let series = null;
+
+    if (m.recurrence) {
+      const r = normalizeRule(m.recurrence, m.startsAt);
+      if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+      series = {
+        id: nanoid(),
+        ...meetingFields({ reminderMinutes: 60, capacity: null, ...m }),
+        startsAt: new Date(m.startsAt).toISOString(),
+        recurrence: r.rule,
+        exceptions: [],
+        createdAt: nowMs(),
+      };
+      if (!hasUpcoming(series)) return res.status(400).json({ ok:false, error:'recurrence has no upcoming occurrences' });
+      db.data.series.push(series);
+      [meeting] = materializeSeries(series);
+    } else {
+      meeting = buildMeeting(m);
+      db.data.meetings.push(meeting);
+    }
+    const { rsvps, remindersSent, ...summary } = meeting;
+    audit(req, 'meeting.create', meetingTarget(meeting), null, { ...summary, recurrence: series?.recurrence });
+    await db.write();
+
+    const when = new Date(meeting.startsAt).toLocaleString();
+    const repeats = series ? ` (${describeRule(series.recurrence)})` : '';
+    await notifyApproved(
+      `Snoot Club: ${meeting.title} at ${meeting.location || 'TBA'} on ${when}${repeats}.`,
+      'Snoot Club Reminder',
+      `${meeting.title} @ ${meeting.location || 'TBA'}`,
+      { kind: 'meeting.create', label: meeting.title, ref: meetingRef(meeting) },
+      { sms: m.sendSms ?? true, push: m.sendPush ?? true },
+    );
+
+    res.json({ ok:true, ...meetingView(meeting, req.member?.id) });
+  });
+
+  // Edit one occurrence (default) or, with scope=series, this and following.
+  // Changing the time or rule of a series splits it at this occurrence.
+  routes.patch('/meetings/:id', {
+    summary: 'Edit a meeting, or it and the rest of its series',
+    body: S.meetingUpdate,
+    response: t.ok({}, t.ref('Meeting')),
+  }, requirePermission('meetings:manage'), async (req, res) => {
+    const b = req.body || {};
+    const scope = b.scope === 'series' ? 'series' : 'occurrence';
+
+    await db.read();
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+    if (meeting.cancelled) return res.status(409).json({ ok:false, error:'meeting is cancelled' });
+
+    const series = meeting.seriesId ? findSeries(meeting.seriesId) : null;
+    if (scope === 'series' && !series) return res.status(400).json({ ok:false, error:'meeting is not part of a series' });
+    if (b.recurrence && scope !== 'series') return res.status(400).json({ ok:false, error:'recurrence can only be changed with scope=series' });
+
+    const changes = meetingFields(b);
+    const before = Object.fromEntries(Object.keys(changes).map(k => [k, meeting[k] ?? null]));
+    if (b.recurrence) before.recurrence = series.recurrence;
+    let updated = meeting;
+    let timeChanged = false, placeChanged = false;
+    const promotions = [];
+
+    if (scope === 'occurrence') {
+      const r = applyMeetingChanges(meeting, changes);
+      if (series) meeting.detached = true; // series edits no longer touch it
+      ({ timeChanged, placeChanged } = r);
+      promotions.push([meeting, r.promoted]);
+    } else if (changes.startsAt !== undefined || b.recurrence) {
+      const anchor = new Date(changes.startsAt ?? meeting.startsAt).toISOString();
+      const { count, ...carried } = series.recurrence;
+      const r = normalizeRule(b.recurrence || carried, anchor);
+      if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+      if (!hasUpcoming({ startsAt: anchor, recurrence: r.rule })) {
+        return res.status(400).json({ ok:false, error:'recurrence has no upcoming occurrences' });
+      }
+
+      const following = followingOccurrences(series, meeting);
+      endSeriesBefore(series, meeting);
+      const { startsAt, ...template } = changes;
+      const next = {
+        ...series, ...template,
+        id: nanoid(), startsAt: anchor, recurrence: r.rule, exceptions: [],
+        splitFrom: series.id, createdAt: nowMs(),
+      };
+      db.data.series.push(next);
+      db.data.meetings = db.data.meetings.filter(x => !following.includes(x));
+      const created = materializeSeries(next);
+      // Keep people's RSVPs: the k-th following occurrence hands over to the k-th new one
+      created.forEach((occ, i) => {
+        if (!following[i]) return;
+        occ.rsvps = following[i].rsvps || [];
+        promotions.push([occ, promoteWaitlist(occ)]);
+      });
+      updated = created[0];
+      timeChanged = startMs(updated) !== startMs(meeting);
+      placeChanged = updated.location !== meeting.location;
+    } else {
+      Object.assign(series, changes);
+      for (const occ of followingOccurrences(series, meeting)) {
+        const r = applyMeetingChanges(occ, changes);
+        if (occ === meeting) ({ timeChanged, placeChanged } = r);
+        promotions.push([occ, r.promoted]);
+      }
+    }
+
+    audit(req, 'meeting.update', meetingTarget(meeting), { ...before, scope },
+      { ...changes, ...(b.recurrence ? { recurrence: findSeries(updated.seriesId)?.recurrence } : {}), scope });
+    await db.write();
+    for (const [occ, ids] of promotions) await notifyPromoted(occ, ids);
+
+    if ((timeChanged || placeChanged) && (b.notify ?? true)) {
+      const when = new Date(updated.startsAt).toLocaleString();
+      const which = scope === 'series' ? ' (and following meetings)' : '';
+      await notifyApproved(
+        `Snoot Club update: ${updated.title}${which} is now at ${updated.location || 'TBA'} on ${when}.`,
+        'Snoot Club — Meeting updated',
+        `${updated.title} @ ${updated.location || 'TBA'} — ${when}`,
+        { kind: 'meeting.update', label: updated.title, ref: meetingRef(updated) },
+      );
+    }
+
+    res.json({ ok:true, ...meetingView(updated) });
+  });
+
+  routes.post('/meetings/:id/cancel', {
+    summary: 'Cancel a meeting (and tell members)',
+    body: t.object({ scope: S.scope, reason: t.string(), notify: t.boolean() }),
+    response: t.ok({ cancelled: t.array(t.string()) }),
+  }, requirePermission('meetings:manage'), async (req, res) => {
+    const b = req.body || {};
+    const scope = b.scope === 'series' ? 'series' : 'occurrence';
+    const reason = (b.reason || '').toString().trim();
+
+    await db.read();
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+    if (meeting.cancelled) return res.status(409).json({ ok:false, error:'meeting already cancelled' });
+
+    const series = meeting.seriesId ? findSeries(meeting.seriesId) : null;
+    if (scope === 'series' && !series) return res.status(400).json({ ok:false, error:'meeting is not part of a series' });
+
+    let targets = [meeting];
+    if (scope === 'series') {
+      targets = followingOccurrences(series, meeting, { includeDetached: true }).filter(x => !x.cancelled);
+      endSeriesBefore(series, meeting);
+    }
+    for (const t of targets) {
+      t.cancelled = true;
+      t.cancelledAt = nowMs();
+      t.cancelReason = reason;
+      t.sequence = (t.sequence || 0) + 1;
+      t.updatedAt = nowMs();
+    }
+    audit(req, 'meeting.cancel', meetingTarget(meeting), { cancelled: false },
+      { cancelled: true, reason, scope, meetings: targets.map(t => t.id) });
+    await db.write();
+
+    if (b.notify ?? true) {
+      const when = new Date(meeting.startsAt).toLocaleString();
+      const what = scope === 'series'
+        ? `${meeting.title} (${describeRule(series.recurrence)}) is cancelled from ${when} on.`
+        : `${meeting.title} on ${when} is CANCELLED.`;
+      await notifyApproved(
+        `Snoot Club: ${what}${reason ? ' ' + reason : ''}`,
+        'Snoot Club — Meeting cancelled',
+        what,
+        { kind: 'meeting.cancel', label: meeting.title, ref: meetingRef(meeting) },
+      );
+    }
+
+    res.json({ ok:true, cancelled: targets.map(t => t.id) });
+  });
+
+  // Hard delete (no notification). Deleting an occurrence leaves an exception so
+  // the series won't regenerate it; scope=series removes the series from here on.
+  routes.delete('/meetings/:id', {
+    summary: 'Delete a meeting without notifying anyone',
+    query: t.object({ scope: S.scope }),
+    response: t.ok({ deleted: t.array(t.string()) }),
+  }, requirePermission('meetings:manage'), async (req, res) => {
+    const scope = req.query.scope === 'series' ? 'series' : 'occurrence';
+
+    await db.read();
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+
+    const series = meeting.seriesId ? findSeries(meeting.seriesId) : null;
+    let removed = [meeting];
+    if (scope === 'series' && series) {
+      removed = followingOccurrences(series, meeting, { includeDetached: true });
+      endSeriesBefore(series, meeting);
+    } else if (series) {
+      series.exceptions = [...(series.exceptions || []), meeting.occurrenceKey];
+    }
+    db.data.meetings = db.data.meetings.filter(x => !removed.includes(x));
+    audit(req, 'meeting.delete', meetingTarget(meeting),
+      { scope, meetings: removed.map(x => ({ id: x.id, title: x.title, startsAt: x.startsAt })) }, null);
+    await db.write();
+
+    res.json({ ok:true, deleted: removed.map(x => x.id) });
+  });
+
+  // ---------- Meetings: RSVPs ----------
+  routes.get('/meetings/:id/rsvp', {
+    summary: 'Who is coming',
+    response: t.ok({
+      myRsvp: t.ref('Rsvp'), counts: t.ref('RsvpCounts'),
+      attendees: t.array(t.object({ memberId: t.string(), name: t.string(), status: t.string() })),
+      waitlist: t.array(t.object({ memberId: t.string(), name: t.string() })),
+    }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+
+    const nameOf = (id) => {
+      const mem = db.data.members.find(x => x.id === id);
+      return mem?.name || mem?.phone || 'Member';
+    };
+    const entries = (meeting.rsvps || []).slice().sort((a, b) => a.at - b.at);
+    res.json({
+      ok: true,
+      myRsvp: rsvpFor(meeting, req.member?.id),
+      counts: rsvpCounts(meeting),
+      attendees: entries.filter(r => r.status !== 'waitlist').map(r => ({ memberId: r.memberId, name: nameOf(r.memberId), status: r.status })),
+      waitlist: entries.filter(r => r.status === 'waitlist').map(r => ({ memberId: r.memberId, name: nameOf(r.memberId) })),
+    });
+  });
+
+  routes.post('/meetings/:id/rsvp', {
+    summary: 'RSVP (joins the waitlist when the meeting is full)',
+    body: t.object({ status: t.enum(RSVP_STATUSES) }, { required: ['status'] }),
+    response: t.ok({ rsvp: t.ref('Rsvp'), counts: t.ref('RsvpCounts') }),
+  }, requireAuth, async (req, res) => {
+    const status = (req.body?.status || '').toString().toLowerCase();
+    if (!RSVP_STATUSES.includes(status)) {
+      return res.status(400).json({ ok:false, error:`status must be one of ${RSVP_STATUSES.join(', ')}` });
+    }
+
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+    if (meeting.cancelled) return res.status(409).json({ ok:false, error:'meeting is cancelled' });
+    if (startMs(meeting) <= nowMs()) return res.status(409).json({ ok:false, error:'meeting has already started' });
+
+    const { promoted } = setRsvp(meeting, req.member.id, status);
+    await db.write();
+    await notifyPromoted(meeting, promoted);
+
+    res.json({ ok:true, rsvp: rsvpFor(meeting, req.member.id), counts: rsvpCounts(meeting) });
+  });
+
+  routes.delete('/meetings/:id/rsvp', {
+    summary: 'Withdraw your RSVP',
+    response: t.ok({ counts: t.ref('RsvpCounts') }),
+  }, requireAuth, async (req, res) => {
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+    if (startMs(meeting) <= nowMs()) return res.status(409).json({ ok:false, error:'meeting has already started' });
+
+    const promoted = removeRsvp(meeting, req.member.id);
+    await db.write();
+    await notifyPromoted(meeting, promoted);
+
+    res.json({ ok:true, counts: rsvpCounts(meeting) });
+  });
+
+  // ---------- Calendar (.ics) ----------
+  // Feeds are fetched by calendar apps that can't send a Bearer header, so each
+  // member gets a separate, rotatable feed token that only grants calendar reads.
+  const CALENDAR_PAST_DAYS = 30;
+
+  function baseUrl(req) {
+    return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  }
+
+  function ensureFeedToken(member) {
+    member.feedToken ||= makeToken();
+    return member.feedToken;
+  }
+
+  async function memberByFeedToken(token) {
+    if (!token) return null;
+    await db.read();
+    const m = db.data.members.find(x => x.feedToken && x.feedToken === token);
+    return m && m.status === 'approved' ? m : null;
+  }
+
+  function calendarMeetings() {
+    const since = nowMs() - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000;
+    return db.data.meetings
+      .filter(meet => startMs(meet) >= since)
+      .sort((a, b) => startMs(a) - startMs(b));
+  }
+
+  function sendIcs(res, filename, body) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  }
+
+  routes.get('/me/calendar', {
+    summary: 'Your calendar feed URL',
+    tags: ['calendar'],
+    response: t.ok({ url: t.string(), webcalUrl: t.string() }),
+  }, requireAuth, async (req, res) => {
+    const token = ensureFeedToken(req.member);
+    await db.write();
+    const url = `${baseUrl(req)}/calendar/${token}.ics`;
+    res.json({ ok:true, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+  });
+
+  routes.post('/me/calendar/rotate', {
+    summary: 'Replace your calendar feed URL (the old one stops working)',
+    tags: ['calendar'],
+    response: t.ok({ url: t.string(), webcalUrl: t.string() }),
+  }, requireAuth, async (req, res) => {
+    req.member.feedToken = makeToken();
+    await db.write();
+    const url = `${baseUrl(req)}/calendar/${req.member.feedToken}.ics`;
+    res.json({ ok:true, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+  });
+
+  routes.get('/calendar/:token.ics', {
+    summary: 'Calendar feed (subscribe from a calendar app)',
+    auth: 'feed', produces: 'text/calendar',
+  }, async (req, res) => {
+    const m = await memberByFeedToken(req.params.token);
+    if (!m) return res.status(404).json({ ok:false, error:'unknown feed' });
+    if (materializeAllSeries()) await db.write();
+    sendIcs(res, 'snoot-club.ics', buildCalendar(calendarMeetings()));
+  });
+
+  // Per-meeting download: Bearer/PIN as usual, or ?token=<feed token> for plain links
+  routes.get('/meetings/:id.ics', {
+    summary: 'Download one meeting as an .ics file',
+    auth: 'feed', produces: 'text/calendar',
+    query: t.object({ token: t.string({ description: 'Calendar feed token, instead of a Bearer header' }) }),
+  }, async (req, res, next) => {
+    const m = await memberByFeedToken((req.query.token || '').toString());
+    if (m) return next();
+    return requireMemberOrAdmin(req, res, next);
+  }, async (req, res) => {
+    await db.read();
+    const meeting = findMeeting(req.params.id);
+    if (!meeting) return res.status(404).json({ ok:false, error:'meeting not found' });
+    sendIcs(res, `meeting-${meeting.id}.ics`, buildCalendar([meeting], { method: 'PUBLISH' }));
+  });
+
+  // ---------- Reminders ----------
+  const reminders = createReminderScheduler({
+    db,
+    defaults: REMINDER_OFFSETS,
+    intervalMs: REMINDER_INTERVAL_MS,
+    prepare: materializeAllSeries,
+    send: async (meeting, offset) => {
+      const when = new Date(meeting.startsAt).toLocaleString();
+      return notifyMembers(byStatus('approved'), {
+        type: 'reminders',
+        batch: { kind: 'meeting.reminder', label: `${describeOffset(offset)} reminder: ${meeting.title}`, ref: meetingRef(meeting) },
+        sms: `Snoot Club: ${meeting.title} at ${meeting.location || 'TBA'} on ${when}. Reply STOP to opt out.`,
+        push: { title: `Snoot Club — ${describeOffset(offset)} Reminder`, body: `${meeting.title} @ ${meeting.location || 'TBA'}` },
+        expiresAt: startMs(meeting),
+      });
+    },
+  });
+
+  // Manual/cron trigger for the same pass the scheduler runs every REMINDER_INTERVAL_MS
+  routes.post(['/tasks/notify-24h', '/tasks/reminders'], {
+    summary: 'Send due meeting reminders',
+    tags: ['tasks'], auth: 'cron',
+    response: t.ok({
+      meetingsNotified: t.array(t.string()),
+      reminders: t.array(t.object({ meetingId: t.string(), offset: t.integer({ description: 'minutes before start' }), skipped: t.array(t.integer()) })),
+      smsCount: t.integer({ description: 'Texts queued' }), pushCount: t.integer({ description: 'Pushes queued' }),
+    }),
+  }, async (req, res) => {
+    try {
+      if ((req.query.secret || '') !== CRON_SECRET) {
+        return res.status(401).json({ ok:false, error:'unauthorized' });
+      }
+      const result = await reminders.runDue();
+      res.json({ ok:true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok:false, error:String(e?.message || e) });
+    }
+  });
+
+  // ---------- Delivery reports (outbox) ----------
+  routes.get('/admin/deliveries', {
+    summary: 'Notification batches, newest first',
+    query: t.object({ kind: t.string(), limit: t.integer({ minimum: 1, maximum: 100 }), cursor: t.string() }),
+    response: t.ok({ batches: t.array(t.ref('DeliveryBatch')), nextCursor: t.nullable(t.string()) }),
+  }, requirePermission('deliveries:read'), (req, res) => {
+    const { kind, limit, cursor } = req.query;
+    res.json({ ok:true, ...outbox.listBatches({ kind: kind?.toString(), limit, cursor: cursor?.toString() }) });
+  });
+
+  routes.get('/admin/deliveries/:id', {
+    summary: 'Every SMS/push job in one batch',
+    response: t.ok({ batch: t.ref('DeliveryBatch'), jobs: t.array(t.ref('DeliveryJob')) }),
+  }, requirePermission('deliveries:read'), (req, res) => {
+    const r = outbox.batchJobs(req.params.id);
+    if (!r) return res.status(404).json({ ok:false, error:'not found' });
+    const names = new Map(db.data.members.map(m => [m.id, memberLabel(m)]));
+    // Numbers, push tokens and message text stay out of the console
+    const jobs = r.jobs.map(j => ({
+      id: j.id, batchId: j.batchId, channel: j.channel, memberId: j.memberId, memberName: names.get(j.memberId) || j.memberId,
+      status: j.status, attempts: j.attempts, maxAttempts: j.maxAttempts, lastError: j.lastError,
+      providerIds: j.providerIds, receipts: j.receipts,
+      createdAt: j.createdAt, nextAttemptAt: j.nextAttemptAt, expiresAt: j.expiresAt,
+      sentAt: j.sentAt, deliveredAt: j.deliveredAt, failedAt: j.failedAt,
+    }));
+    res.json({ ok:true, batch: r.batch, jobs });
+  });
+
+  // Cron trigger for the outbox worker (also runs every OUTBOX_INTERVAL_MS in-process)
+  routes.post('/tasks/outbox', {
+    summary: 'Send queued SMS and push notifications',
+    tags: ['tasks'], auth: 'cron',
+    response: t.ok({ sent: t.integer(), failed: t.integer(), retrying: t.integer() }),
+  }, async (req, res) => {
+    try {
+      if ((req.query.secret || '') !== CRON_SECRET) {
+        return res.status(401).json({ ok:false, error:'unauthorized' });
+      }
+      const result = await outbox.runDue();
+      res.json({ ok:true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok:false, error:String(e?.message || e) });
+    }
+  });
+
+  // Cron trigger for Expo receipt checks (also run every 15 minutes in-process)
+  routes.post('/tasks/push-receipts', {
+    summary: 'Check Expo push receipts',
+    tags: ['tasks'], auth: 'cron',
+    response: t.ok({ checked: t.integer(), pruned: t.integer({ description: 'Unregistered device tokens removed' }) }),
+  }, async (req, res) => {
+    try {
+      if ((req.query.secret || '') !== CRON_SECRET) {
+        return res.status(401).json({ ok:false, error:'unauthorized' });
+      }
+      const result = await pushProvider.checkReceipts();
+      res.json({ ok:true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok:false, error:String(e?.message || e) });
+    }
+  });
+
+  // ---------- Socket.IO (chat) ----------
+  const server = http.createServer(app);
+
+  // Members-only sockets (PIN isn’t accepted here; admin uses REST below)
+  const io = attachSocketIO(server, { db, chat, moderation, authenticate: authByToken, onModerated: auditChatDelete });
+
+  // ----- REST chat for Admin (PIN) or Member (Bearer) -----
+  const chatActor = (req) => ({ member: req.member || null, viaPin: !req.member && isAdminReq(req) });
+  const roomParam = (req) => (req.query.room || req.body?.room || req.body?.roomId || 'general').toString();
+  const pageParams = (req) => ({ before: req.query.before?.toString(), after: req.query.after?.toString(), limit: req.query.limit });
+
+  // Push new messages to members without an open socket (batched; see server-chat-push.js)
+  const chatNotifier = createChatNotifier({
+    db, chat, push: pushProvider,
+    isOnline: (memberId) => (io.sockets.adapter.rooms.get(memberRoom(memberId))?.size || 0) > 0,
+    pushMode,
+    batchMs: CHAT_PUSH_BATCH_MS,
+    throttleMs: CHAT_PUSH_THROTTLE_MS,
+  });
+  chat.onMessage(chatNotifier.onMessage);
+
+  routes.get('/chat/rooms', {
+    summary: 'Rooms you can see, with unread counts',
+    response: t.ok({ rooms: t.array(t.ref('Room')) }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    res.json({ ok:true, rooms: chat.listRooms(chatActor(req)) });
+  });
+
+  routes.post('/chat/rooms', {
+    summary: 'Create a channel',
+    body: t.object({
+      name: t.string({ minLength: 1 }), topic: t.string(),
+      postPolicy: t.enum(['all', 'admins']), members: t.array(t.string(), { description: 'Private channel: only these members' }),
+    }, { required: ['name'] }),
+    response: t.ok({ room: t.ref('Room') }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    const r = await chat.createChannel(req.body || {}, actorOf(req).id);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'chat.room_create', { type: 'room', id: r.room.id, label: `#${r.room.name}` }, null, r.room);
+    await db.write();
+    res.json(r);
+  });
+
+  routes.patch('/chat/rooms/:id', {
+    summary: "Change a channel's topic, posting policy or members",
+    body: t.object({ topic: t.string(), postPolicy: t.enum(['all', 'admins']), members: t.nullable(t.array(t.string())) }),
+    response: t.ok({ room: t.ref('Room') }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    const before = db.data.rooms?.find(x => x.id === req.params.id);
+    const snapshot = before ? { ...before } : null;
+    const r = await chat.updateChannel(req.params.id, req.body || {});
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'chat.room_update', { type: 'room', id: r.room.id, label: `#${r.room.name}` }, snapshot, r.room);
+    await db.write();
+    res.json(r);
+  });
+
+  // Open a one-to-one conversation with another member
+  routes.post('/chat/dm', {
+    summary: 'Open a direct message with another member',
+    body: t.object({ memberId: t.string({ minLength: 1 }) }, { required: ['memberId'] }),
+    response: t.ok({ room: t.ref('Room') }),
+  }, requireAuth, async (req, res) => {
+    const r = await chat.openDm({ member: req.member }, (req.body?.memberId || '').toString());
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json(r);
+  });
+
+  // Oldest first; hasMore (also the X-Has-More header) says whether to page further
+  routes.get('/chat/messages', {
+    summary: 'Messages in a room, oldest first',
+    query: t.object({ ...S.roomRef, ...S.paging }),
+    response: t.ok({ messages: t.array(t.ref('Message')), hasMore: t.boolean() }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    const r = chat.history(chatActor(req), roomParam(req), pageParams(req));
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.set('X-Has-More', r.hasMore ? '1' : '0');
+    res.json({ ok:true, messages: r.messages, hasMore: r.hasMore });
+  });
+
+  routes.get('/chat/search', {
+    summary: 'Search messages you can see',
+    query: t.object({ q: t.string({ minLength: 1 }), room: t.string(), before: t.string(), limit: S.paging.limit }, { required: ['q'] }),
+    response: t.ok({ messages: t.array(t.ref('Message')), hasMore: t.boolean() }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    const r = chat.search(chatActor(req), {
+      q: req.query.q, roomId: req.query.room?.toString(), before: req.query.before?.toString(), limit: req.query.limit,
+    });
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json(r);
+  });
+
+  // Mark a room read up to messageId (default: latest message)
+  routes.post('/chat/read', {
+    summary: 'Mark a room read',
+    body: t.object({ ...S.roomRef, messageId: t.string({ description: 'Default: the latest message' }) }),
+    response: t.ok({ roomId: t.string(), messageId: t.nullable(t.string()), unread: S.unreadCounts }),
+  }, requireAuth, async (req, res) => {
+    const r = chat.markRead({ member: req.member }, roomParam(req), req.body?.messageId?.toString());
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    await db.write({ chatReads: true });
+    res.json(r);
+  });
+
+  routes.post('/chat/send', {
+    summary: 'Post a message',
+    body: t.object({ ...S.roomRef, text: t.string({ minLength: 1 }), replyTo: t.string() }, { required: ['text'] }),
+    response: t.ok({ message: t.ref('Message') }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    const r = await chat.post(chatActor(req), roomParam(req), req.body?.text, { replyTo: req.body?.replyTo?.toString() });
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, message: r.message });
+  });
+
+  // Removing someone else's message is a moderation action (REST or socket)
+  async function auditChatDelete(req, r) {
+    const { before } = r;
+    audit(req, 'chat.message_delete', { type: 'message', id: before.id, label: `${before.name} in ${before.roomId}` },
+      { memberId: before.memberId, text: before.text }, null);
+    await db.write();
+  }
+
+  routes.patch('/chat/messages/:id', {
+    summary: 'Edit your message',
+    body: t.object({ text: t.string({ minLength: 1 }) }, { required: ['text'] }),
+    response: t.ok({ message: t.ref('Message') }),
+  }, requireAuth, async (req, res) => {
+    const r = await chat.editMessage({ member: req.member }, req.params.id, req.body?.text);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json(r);
+  });
+
+  routes.delete('/chat/messages/:id', {
+    summary: 'Delete a message (yours, or anyone\'s as a moderator)',
+    response: t.ok({ message: t.ref('Message') }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    const r = await chat.deleteMessage(chatActor(req), req.params.id);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    if (r.moderated) await auditChatDelete(req, r);
+    res.json({ ok:true, message: r.message });
+  });
+
+  // Toggle a reaction: same emoji again removes it
+  routes.post('/chat/messages/:id/reactions', {
+    summary: 'Toggle a reaction',
+    body: t.object({ emoji: t.string({ minLength: 1, maxLength: 16 }) }, { required: ['emoji'] }),
+    response: t.ok({ id: t.string({ description: 'Message id' }), roomId: t.string(), reactions: S.reactions }),
+  }, requireAuth, async (req, res) => {
+    const r = await chat.react({ member: req.member }, req.params.id, req.body?.emoji);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json(r);
+  });
+
+  routes.get('/chat/pins', {
+    summary: 'Pinned messages in a room',
+    query: t.object(S.roomRef),
+    response: t.ok({ messages: t.array(t.ref('Message')) }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    await db.read();
+    const r = chat.pins(chatActor(req), roomParam(req));
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, messages: r.messages });
+  });
+
+  // Body: { pinned: true|false } (default true)
+  routes.post('/chat/messages/:id/pin', {
+    summary: 'Pin or unpin a message',
+    body: t.object({ pinned: t.boolean({ description: 'Default true' }) }),
+    response: t.ok({ message: t.ref('Message') }),
+  }, requireMemberOrAdmin, async (req, res) => {
+    const pinned = req.body?.pinned !== false;
+    const r = await chat.pin(chatActor(req), req.params.id, pinned);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, pinned ? 'chat.message_pin' : 'chat.message_unpin',
+      { type: 'message', id: r.message.id, label: `${r.message.name} in ${r.message.roomId}` }, null, null);
+    await db.write();
+    res.json(r);
+  });
+
+  // ----- Chat moderation (reports, mutes/bans, blocked words; see server-moderation.js) -----
+  routes.post('/chat/messages/:id/report', {
+    summary: 'Report a message to the moderators',
+    body: t.object({ reason: t.string() }),
+    response: t.ok({ reportId: t.string() }),
+  }, requireAuth, async (req, res) => {
+    const r = await chat.reportMessage({ member: req.member }, req.params.id, req.body?.reason);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    res.json({ ok:true, reportId: r.report.id });
+  });
+
+  routes.get('/admin/chat/reports', {
+    summary: 'Reported messages',
+    query: t.object({ status: t.enum(['open', 'resolved', 'dismissed', 'all']), limit: S.reportsLimit }),
+    response: t.ok({ reports: t.array(t.ref('Report')) }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    const list = moderation.listReports({ status: req.query.status?.toString(), limit: req.query.limit });
+    const names = new Map(db.data.members.map(m => [m.id, memberLabel(m)]));
+    res.json({ ok:true, reports: list.map(r => ({ ...r, reporterName: names.get(r.reporterId) || r.reporterId })) });
+  });
+
+  // Close a report: { status: 'resolved'|'dismissed', note?, deleteMessage? }
+  routes.post('/admin/chat/reports/:id', {
+    summary: 'Resolve or dismiss a report',
+    body: t.object({ status: t.enum(['resolved', 'dismissed']), note: t.string(), deleteMessage: t.boolean() }, { required: ['status'] }),
+    response: t.ok({ closed: t.integer({ description: 'Open reports of the same message closed with it' }) }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    const { status, note, deleteMessage } = req.body || {};
+    const r = moderation.closeReport(req.params.id, { status, note, by: actorOf(req).id });
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    const target = { type: 'report', id: r.report.id, label: `${r.report.message.name} in ${r.report.roomId}` };
+    audit(req, `chat.report_${status === 'resolved' ? 'resolve' : 'dismiss'}`, target, null, { status, note: r.report.note });
+    await db.write();
+    if (deleteMessage) {
+      const d = await chat.deleteMessage(chatActor(req), r.report.messageId);
+      if (d.ok && d.moderated) await auditChatDelete(req, d);
+    }
+    res.json({ ok:true, closed: r.closed });
+  });
+
+  // Mute / ban: { minutes?, reason? } — no minutes = until lifted
+  for (const type of ['mute', 'ban']) {
+    routes.post(`/members/:id/${type}`, {
+      summary: type === 'ban' ? 'Ban a member from chat' : 'Mute a member in chat',
+      tags: ['moderation'],
+      body: t.object({ minutes: t.nullable(t.number({ description: 'Omit for until lifted' })), reason: t.string() }),
+      response: t.ok({ sanction: t.ref('Sanction') }),
+    }, requirePermission('chat:moderate'), async (req, res) => {
+      const m = db.data.members.find(x => x.id === req.params.id);
+      if (!m) return res.status(404).json({ ok:false });
+      const r = moderation.sanction({ memberId: m.id, type, minutes: req.body?.minutes, reason: req.body?.reason, by: actorOf(req).id });
+      if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+      audit(req, `chat.${type}`, memberTarget(m), null, { until: r.sanction.until, reason: r.sanction.reason });
+      await db.write();
+      if (type === 'ban') io.in(memberRoom(m.id)).disconnectSockets(true);
+      res.json({ ok:true, sanction: r.sanction });
+    });
+
+    routes.post(`/members/:id/un${type}`, {
+      summary: type === 'ban' ? 'Lift a chat ban' : 'Unmute a member',
+      tags: ['moderation'],
+    }, requirePermission('chat:moderate'), async (req, res) => {
+      const m = db.data.members.find(x => x.id === req.params.id);
+      if (!m) return res.status(404).json({ ok:false });
+      const lifted = moderation.lift(m.id, type, actorOf(req).id);
+      if (!lifted.length) return res.status(409).json({ ok:false, error:`not ${type === 'ban' ? 'banned' : 'muted'}` });
+      audit(req, `chat.un${type}`, memberTarget(m), { until: lifted[0].until, reason: lifted[0].reason }, null);
+      await db.write();
+      res.json({ ok:true });
+    });
+  }
+
+  routes.get('/admin/chat/filter', {
+    summary: 'Blocked-word filter',
+    response: t.ok({ filter: t.ref('ChatFilter') }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    await db.read();
+    res.json({ ok:true, filter: moderation.filterSettings() });
+  });
+
+  // { words: [..] | "a, b", mode: 'mask'|'reject' }
+  routes.put('/admin/chat/filter', {
+    summary: 'Change the blocked-word filter',
+    body: t.object({ words: t.any({ type: ['array', 'string'], items: t.string(), description: 'List, or comma/newline separated' }), mode: t.enum(['mask', 'reject']) }),
+    response: t.ok({ filter: t.ref('ChatFilter') }),
+  }, requirePermission('chat:moderate'), async (req, res) => {
+    const before = { ...moderation.filterSettings() };
+    const r = moderation.setFilter(req.body || {});
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'chat.filter_update', { type: 'settings', id: 'chatFilter', label: 'Blocked words' },
+      { count: before.words.length, mode: before.mode }, { count: r.filter.words.length, mode: r.filter.mode });
+    await db.write();
+    res.json({ ok:true, filter: r.filter });
+  });
+
+  // ---------- Announcements (segments, preview, scheduling; see server-announcements.js) ----------
+  const CLUB_ACTOR = { member: null, system: true, name: 'Snoot Club' };
+
+  // Queue SMS/push for the segment and post the pinned chat copy
+  async function deliverAnnouncement(a, members) {
+    const ref = { type: 'announcement', id: a.id };
+    const result = { batchId: null, sms: 0, push: 0, chatMessageId: null };
+    if (a.channels.chat) {
+      const roomId = a.segment.type === 'rsvp' ? `meeting:${a.segment.meetingId}` : 'announcements';
+      // With push on, members get the announcement's own push; don't add a chat one
+      const r = await chat.post(CLUB_ACTOR, roomId, `📣 ${a.title}\n\n${a.body}`, { pinned: true, notify: !a.channels.push });
+      if (r.ok) result.chatMessageId = r.message.id;
+      else result.chatError = r.error;
+    }
+    if (a.channels.sms || a.channels.push) {
+      Object.assign(result, await notifyMembers(members, {
+        type: 'announcements',
+        batch: { kind: 'announcement', label: a.title, ref },
+        sms: a.channels.sms ? `Snoot Club: ${a.title} — ${a.body} Reply STOP to opt out.` : null,
+        push: a.channels.push ? { title: a.title, body: a.body, data: { type: 'announcement', id: a.id } } : null,
+        kick: false, // onSent kicks once the announcement's status is saved
+      }));
+    }
+    return result;
+  }
+
+  const announcements = createAnnouncements({
+    db, deliver: deliverAnnouncement, onSent: () => outbox.kick(), intervalMs: ANNOUNCEMENT_INTERVAL_MS,
+  });
+
+  const announcementTarget = (a) => ({ type: 'announcement', id: a.id, label: a.title });
+
+  // Who the announcement would reach right now, per channel (same rules as notifyMembers)
+  const ANNOUNCEMENT_COUNTS = t.object({
+    recipients: t.integer(), sms: t.integer(), smsDelayed: t.integer({ description: 'Held until quiet hours end' }),
+    push: t.integer(), chat: t.boolean(),
+  });
+  function announcementPreview(value) {
+    const members = announcements.recipients(value.segment);
+    const counts = { recipients: members.length, sms: 0, smsDelayed: 0, push: 0, chat: value.channels.chat };
+    for (const m of members) {
+      if (value.channels.sms && smsProvider.enabled && wantsSms(m, 'announcements')) {
+        counts.sms++;
+        if (quietUntil(m)) counts.smsDelayed++;
+      }
+      if (value.channels.push && pushProvider.enabled && pushMode(m, 'announcements') !== 'off') counts.push++;
+    }
+    return counts;
+  }
+
+  routes.get('/announcements/segments', {
+    summary: 'Who an announcement can go to',
+    response: t.ok({ segments: t.object({}, { additionalProperties: t.string() }) }),
+  }, requirePermission('announcements:send'), (_req, res) => {
+    res.json({ ok:true, segments: SEGMENTS });
+  });
+
+  // Same body as POST /announcements; nothing is stored or sent
+  routes.post('/announcements/preview', {
+    summary: 'How many members an announcement would reach',
+    body: S.announcementInput,
+    response: t.ok({ counts: ANNOUNCEMENT_COUNTS }),
+  }, requirePermission('announcements:send'), async (req, res) => {
+    await db.read();
+    const r = announcements.normalize(req.body || {});
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    res.json({ ok:true, counts: announcementPreview(r.value) });
+  });
+
+  // { title, body, segment: 'approved'|{ type:'rsvp', meetingId, statuses? }, channels?: { sms, push, chat }, sendAt? }
+  routes.post('/announcements', {
+    summary: 'Send or schedule an announcement',
+    body: S.announcementInput,
+    response: t.ok({ announcement: t.ref('Announcement'), counts: ANNOUNCEMENT_COUNTS }),
+  }, requirePermission('announcements:send'), async (req, res) => {
+    await db.read();
+    const r = announcements.normalize(req.body || {});
+    if (!r.ok) return res.status(400).json({ ok:false, error:r.error });
+    const a = announcements.create(r.value, actorOf(req).id);
+    audit(req, a.sendAt ? 'announcement.schedule' : 'announcement.send', announcementTarget(a), null,
+      { segment: a.segment, channels: a.channels, sendAt: a.sendAt });
+    await db.write();
+    if (a.sendAt) return res.json({ ok:true, announcement: a, counts: announcementPreview(a) });
+    res.json({ ok:true, announcement: await announcements.send(a.id) });
+  });
+
+  routes.get('/announcements', {
+    summary: 'Sent and scheduled announcements',
+    response: t.ok({ announcements: t.array(t.ref('Announcement')) }),
+  }, requirePermission('announcements:send'), async (_req, res) => {
+    await db.read();
+    const names = new Map(db.data.members.map(m => [m.id, memberLabel(m)]));
+    res.json({ ok:true, announcements: announcements.list().map(a => ({ ...a, createdByName: names.get(a.createdBy) || 'Admin PIN' })) });
+  });
+
+  routes.post('/announcements/:id/cancel', {
+    summary: 'Cancel a scheduled announcement',
+    response: t.ok({ announcement: t.ref('Announcement') }),
+  }, requirePermission('announcements:send'), async (req, res) => {
+    await db.read();
+    const r = announcements.cancel(req.params.id);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'announcement.cancel', announcementTarget(r.announcement), { status: 'scheduled' }, { status: 'cancelled' });
+    await db.write();
+    res.json(r);
+  });
+
+  // Cron trigger for scheduled announcements (also checked every ANNOUNCEMENT_INTERVAL_MS in-process)
+  routes.post('/tasks/announcements', {
+    summary: 'Send scheduled announcements that are due',
+    tags: ['tasks'], auth: 'cron',
+    response: t.ok({ sent: t.array(t.string({ description: 'Announcement id' })) }),
+  }, async (req, res) => {
+    try {
+      if ((req.query.secret || '') !== CRON_SECRET) {
+        return res.status(401).json({ ok:false, error:'unauthorized' });
+      }
+      const result = await announcements.runDue();
+      res.json({ ok:true, ...result });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok:false, error:String(e?.message || e) });
+    }
+  });
+
+  // ---------- Backups (see server-backups.js) ----------
+  const backups = createBackups({
+    db, dir: path.join(DATA_DIR, 'backups'), keep: BACKUP_KEEP, intervalMs: BACKUP_INTERVAL_HOURS * 60 * 60 * 1000,
+    migrate() {
+      upgradeData();
+      // Codes already sent were hashed with the secret in use; keep it
+      if (!env.OTP_SECRET) db.data.settings.otpSecret = OTP_SECRET;
+      chat.migrate();
+    },
+  });
+  const backupTarget = (name) => ({ type: 'backup', id: name, label: name });
+
+  routes.get('/admin/backups', {
+    summary: 'Backup snapshots, newest first',
+    response: t.ok({ backups: t.array(t.ref('Backup')), keep: t.integer(), intervalHours: t.number() }),
+  }, requirePermission('data:backup'), (_req, res) => {
+    res.json({ ok:true, backups: backups.list(), keep: BACKUP_KEEP, intervalHours: BACKUP_INTERVAL_HOURS });
+  });
+
+  const BACKUP_TAKEN = t.object({ name: t.string(), size: t.integer(), removed: t.array(t.string({ description: 'Older snapshots rotated out' })) });
+  routes.post('/admin/backups', {
+    summary: 'Take a snapshot now',
+    response: t.ok({ backup: BACKUP_TAKEN }),
+  }, requirePermission('data:backup'), async (req, res) => {
+    const b = await backups.snapshot('manual');
+    audit(req, 'backup.create', backupTarget(b.name));
+    await db.write();
+    res.json({ ok:true, backup: b });
+  });
+
+  // Replaces all data with the snapshot (the current data is snapshotted first)
+  routes.post('/admin/backups/:name/restore', {
+    summary: 'Replace all data with a snapshot',
+    description: 'The current data is snapshotted first (reason "restore"), and every chat socket is disconnected.',
+    response: t.ok({ restored: t.string(), safety: t.string() }),
+  }, requirePermission('data:backup'), async (req, res) => {
+    const r = await backups.restore(req.params.name);
+    if (!r.ok) return res.status(r.status).json({ ok:false, error:r.error });
+    audit(req, 'backup.restore', backupTarget(r.restored), null, { safety: r.safety });
+    await db.write();
+    // Sessions may differ in the restored data; clients reconnect and re-authenticate
+    io.disconnectSockets(true);
+    res.json(r);
+  });
+
+  // Cron trigger for a scheduled snapshot (also every BACKUP_INTERVAL_HOURS in-process)
+  routes.post('/tasks/backup', {
+    summary: 'Take a scheduled snapshot',
+    tags: ['tasks'], auth: 'cron',
+    response: t.ok({ backup: BACKUP_TAKEN }),
+  }, async (req, res) => {
+    try {
+      if ((req.query.secret || '') !== CRON_SECRET) {
+        return res.status(401).json({ ok:false, error:'unauthorized' });
+      }
+      const b = await backups.runScheduled();
+      res.json({ ok:true, backup: b });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ ok:false, error:String(e?.message || e) });
+    }
+  });
+
+  // ---- Mount email/password auth + (separate) REST chat under /addons ----
+  app.use('/addons', createAuthChat({
+    store: addonStore,
+    isAdminReq,
+    memberByToken,
+    startSession,
+    limits,
+    registration,
+    accounts,
+    chat,
+    api,
+    twilio: { client: twilioClient, from: TWILIO_FROM }
+  }));
+
+  // ---------- API document & fallbacks (keep last) ----------
+  routes.get('/openapi.json', { summary: 'This API as an OpenAPI 3.1 document', tags: ['meta'], hidden: true }, (_req, res) => {
+    res.json(api.document({ serverUrl: PUBLIC_URL || undefined }));
+  });
+  app.use(notFound());
+  app.use(errorHandler());
+
+  // ---------- Lifecycle ----------
+  const schedulers = [reminders, pushProvider, outbox, announcements, backups, otpSweeper, chatNotifier];
+
+  return {
+    app, server, io, db, api, outbox,
+    /** Start listening (port 0 = any free port) and start the background schedulers; rejects if one fails to start. */
+    async listen(port) {
+      await new Promise((resolve, reject) => server.listen(port, resolve).once('error', reject));
+      await Promise.all(schedulers.map(s => s.start()));
+      return server.address().port;
+    },
+    /** Stop schedulers, sockets and the HTTP server, then flush and close storage. */
+    async close() {
+      for (const s of schedulers) s.stop();
+      await new Promise(resolve => io.close(() => resolve()));
+      if (server.listening) await new Promise(resolve => server.close(() => resolve()));
+      await db.close();
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// server-audit.js
+// Append-only audit trail of admin/moderation actions, stored in db.data.audit.
+// Entries are never edited or removed through the API; the one exception is
+// erasing a member (server-privacy.js), which redacts their personal data.
+
+import { nanoid } from 'nanoid';
+
+/**
+ * @param {{ db: any }} opts
+ */
+export function createAuditLog({ db }) {
+  const entries = () => (db.data.audit ||= []);
+
+  /**
+   * Append an entry. Caller persists with db.write() alongside its own change.
+   * @param {{
+   *   actor: { id: string, name?: string, via: 'session'|'pin' },
+   *   action: string,                       // e.g. 'member.approve'
+   *   target?: { type: string, id: string, label?: string },
+   *   before?: any, after?: any, ip?: string,
+   * }} entry
+   */
+  function record({ actor, action, target = null, before = null, after = null, ip = '' }) {
+    const entry = Object.freeze({ id: nanoid(), ts: Date.now(), actor, action, target, before, after, ip });
+    entries().push(entry);
+    return entry;
+  }
+
+  /**
+   * Newest first. `action` matches exactly or as a prefix ("member." -> all member actions);
+   * `cursor` is the id of the last entry of the previous page.
+   * @param {{ actor?: string, action?: string, from?: number, to?: number, limit?: number, cursor?: string }} q
+   */
+  function query({ actor, action, from, to, limit = 50, cursor } = {}) {
+    let list = entries().slice().reverse();
+    if (cursor) {
+      const i = list.findIndex(e => e.id === cursor);
+      list = i >= 0 ? list.slice(i + 1) : [];
+    }
+    if (actor) list = list.filter(e => e.actor?.id === actor);
+    if (action) list = list.filter(e => e.action === action || (action.endsWith('.') && e.action.startsWith(action)));
+    if (from) list = list.filter(e => e.ts >= from);
+    if (to) list = list.filter(e => e.ts <= to);
+
+    const size = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const page = list.slice(0, size);
+    return { entries: page, nextCursor: list.length > size ? page[page.length - 1].id : null };
+  }
+
+  /**
+   * Strip a member's personal data from the trail: entries about them keep
+   * the action and ids but lose labels and before/after snapshots, and their
+   * own actions show `label` as the actor name. Caller persists.
+   */
+  function redactMember(memberId, label) {
+    const list = entries();
+    list.forEach((e, i) => {
+      const about = e.target?.type === 'member' && e.target.id === memberId;
+      const by = e.actor?.id === memberId;
+      if (!about && !by) return;
+      list[i] = Object.freeze({
+        ...e,
+        ...(about ? { target: { ...e.target, label }, before: null, after: null } : {}),
+        ...(by ? { actor: { ...e.actor, name: label } } : {}),
+      });
+    });
+  }
+
+  return { record, query, redactMember };
+}
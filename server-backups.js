@@ -0,0 +1,108 @@
+// server-backups.js
+// Rotated snapshots of the whole dataset under DATA_DIR/backups, taken on a
+// timer (and before every restore), plus restoring one in place.
+//   snoot-<ISO time>-<reason>.json   db.data as JSON, whichever storage backend is in use
+// Only the newest `keep` snapshots are kept. Restoring replaces db.data's
+// contents (not the object, so every module keeps its reference), runs the
+// same start-up upgrades (`migrate`) so an older snapshot gets today's shape,
+// and persists.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const HOUR = 60 * 60 * 1000;
+const NAME_RE = /^snoot-[0-9TZ-]+-[a-z]+\.json$/;
+
+/**
+ * @param {{
+ *   db: any, dir: string, keep?: number, intervalMs?: number,
+ *   migrate?: () => void,  // after a restore: fill in defaults and upgrade old records in db.data
+ * }} opts
+ */
+export function createBackups({ db, dir, keep = 14, intervalMs = 24 * HOUR, migrate = () => {} }) {
+  let timer = null;
+  let running = null;
+
+  const fileOf = (name) => (NAME_RE.test(String(name)) ? path.join(dir, name) : null);
+
+  /**
+   * Snapshots on disk, newest first.
+   * @returns {Array<{ name: string, size: number, createdAt: number, reason: string }>}
+   */
+  function list() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => NAME_RE.test(name))
+      .map(name => {
+        const stat = fs.statSync(path.join(dir, name));
+        return { name, size: stat.size, createdAt: stat.mtimeMs, reason: name.slice(0, -5).split('-').pop() };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  function rotate() {
+    const removed = [];
+    for (const b of list().slice(Math.max(keep, 1))) {
+      fs.rmSync(path.join(dir, b.name), { force: true });
+      removed.push(b.name);
+    }
+    return removed;
+  }
+
+  /**
+   * Write a snapshot now and drop the oldest beyond `keep`.
+   * @param {'scheduled'|'manual'|'restore'} reason
+   */
+  async function snapshot(reason = 'manual') {
+    fs.mkdirSync(dir, { recursive: true });
+    const name = `snoot-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.json`;
+    const file = path.join(dir, name);
+    // Serialize synchronously so no handler mutates db.data halfway through
+    const body = JSON.stringify(db.data);
+    await fs.promises.writeFile(`${file}.tmp`, body);
+    await fs.promises.rename(`${file}.tmp`, file);
+    return { name, size: body.length, removed: rotate() };
+  }
+
+  /**
+   * Replace the live data with a snapshot. A 'restore' snapshot of the current
+   * data is taken first, so a restore can itself be undone. Persists.
+   */
+  async function restore(name) {
+    const file = fileOf(name);
+    if (!file || !fs.existsSync(file)) return { ok: false, status: 404, error: 'backup not found' };
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      return { ok: false, status: 422, error: 'backup is not valid JSON' };
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.members)) {
+      return { ok: false, status: 422, error: 'backup does not look like club data' };
+    }
+    const safety = await snapshot('restore');
+    for (const key of Object.keys(db.data)) delete db.data[key];
+    Object.assign(db.data, data);
+    migrate();
+    await db.write();
+    return { ok: true, restored: name, safety: safety.name };
+  }
+
+  async function runScheduled() {
+    running ||= snapshot('scheduled').finally(() => { running = null; });
+    return running;
+  }
+
+  function start() {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => { runScheduled().catch(e => console.error('backup error', e?.message || e)); }, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { dir, list, snapshot, restore, runScheduled, start, stop };
+}
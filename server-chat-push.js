@@ -0,0 +1,114 @@
+// server-chat-push.js
+// Push notifications for chat, for members with no socket open.
+// Messages are collected per member and room, then sent as one notification:
+//   - DMs and @mentions go out after a short batch window (batchMs)
+//   - other room traffic is also throttled to one push per room per throttleMs
+// Before sending, members who have come online or already read the room are skipped.
+// Member preferences (server-preferences.js) decide per type: 'mentions' covers
+// DMs and @mentions, 'chat' everything else; quiet hours make the push silent.
+// Pending batches live in memory; a restart (or stop()) drops them rather than re-sending.
+// start() runs the sweep that forgets old throttle stamps; stop() ends it and the batch timers.
+
+const SNIPPET = 120;
+
+const snippet = (text) => (text.length > SNIPPET ? text.slice(0, SNIPPET - 1) + '…' : text);
+
+/**
+ * @param {{
+ *   db: any,
+ *   chat: ReturnType<typeof import('./server-chat.js').createChat>,
+ *   push: ReturnType<typeof import('./server-notifier.js').createPushProvider>,
+ *   isOnline: (memberId: string) => boolean,
+ *   pushMode?: (member: any, type: 'chat'|'mentions') => 'off'|'silent'|'normal',
+ *   batchMs?: number,
+ *   throttleMs?: number,
+ * }} opts
+ */
+export function createChatNotifier({ db, chat, push, isOnline, pushMode = () => 'normal', batchMs = 30 * 1000, throttleMs = 10 * 60 * 1000 }) {
+  const pending = new Map();  // `${memberId}|${roomId}` -> { memberId, roomId, title, dm, count, mentioned (message), last, timer, dueAt }
+  const lastSent = new Map(); // same key -> ms
+
+  function roomTitle(room) {
+    if (room.kind === 'dm') return null;
+    return room.kind === 'meeting' ? room.name : `#${room.name}`;
+  }
+
+  function schedule(entry, delay) {
+    clearTimeout(entry.timer);
+    entry.dueAt = Date.now() + delay;
+    entry.timer = setTimeout(() => flush(entry).catch(e => console.error(e)), delay);
+    entry.timer.unref?.();
+  }
+
+  function queue(member, room, msg, urgent) {
+    const key = `${member.id}|${room.id}`;
+    let entry = pending.get(key);
+    if (!entry) {
+      entry = { key, memberId: member.id, roomId: room.id, title: roomTitle(room), dm: room.kind === 'dm', count: 0, mentioned: null };
+      pending.set(key, entry);
+    }
+    entry.count++;
+    entry.last = msg;
+    if (urgent && !entry.dm) entry.mentioned = msg; // show the mention, not whatever came after it
+
+    const since = Date.now() - (lastSent.get(key) || 0);
+    const delay = urgent ? batchMs : Math.max(batchMs, throttleMs - since);
+    if (!entry.timer || Date.now() + delay < entry.dueAt) schedule(entry, delay);
+  }
+
+  async function flush(entry) {
+    pending.delete(entry.key);
+    if (isOnline(entry.memberId)) return;
+    await db.read();
+    const member = (db.data.members || []).find(m => m.id === entry.memberId && m.status === 'approved');
+    if (!member?.expoTokens?.length) return;
+    if (chat.lastRead(member.id, entry.roomId) >= entry.last.ts) return;
+    const mode = pushMode(member, entry.dm || entry.mentioned ? 'mentions' : 'chat');
+    if (mode === 'off') return;
+
+    const shown = entry.mentioned || entry.last;
+    const from = shown.name;
+    let title;
+    if (entry.dm) title = from;
+    else if (entry.mentioned) title = `${from} mentioned you in ${entry.title}`;
+    else title = entry.title;
+    if (entry.count > 1) title += ` (${entry.count} new)`;
+    const body = entry.dm ? snippet(shown.text) : `${from}: ${snippet(shown.text)}`;
+
+    lastSent.set(entry.key, Date.now());
+    await push.send([member], { title, body, silent: mode === 'silent', data: { type: 'chat', roomId: entry.roomId, messageId: shown.id } });
+  }
+
+  /**
+   * chat.onMessage listener: queue a push for each offline reader.
+   */
+  function onMessage(msg, room) {
+    const mentioned = new Set(msg.mentions || []);
+    for (const member of chat.readers(room)) {
+      if (member.id === msg.memberId || isOnline(member.id)) continue;
+      const urgent = room.kind === 'dm' || mentioned.has(member.id);
+      if (pushMode(member, urgent ? 'mentions' : 'chat') === 'off') continue;
+      queue(member, room, msg, urgent);
+    }
+  }
+
+  // Forget throttle stamps older than the window so the map doesn't grow forever
+  let sweeper = null;
+  function start() {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      const cutoff = Date.now() - throttleMs;
+      for (const [key, at] of lastSent) if (at < cutoff) lastSent.delete(key);
+    }, throttleMs);
+    sweeper.unref?.();
+  }
+
+  function stop() {
+    clearInterval(sweeper);
+    sweeper = null;
+    for (const entry of pending.values()) clearTimeout(entry.timer);
+    pending.clear();
+  }
+
+  return { onMessage, start, stop };
+}
@@ -0,0 +1,573 @@
+// server-chat.js
+// Chat rooms shared by the Socket.IO handlers, the REST routes in server-app.js and
+// the /addons/chat router, so every send path follows the same rules.
+//
+// Rooms (db.data.rooms):
+//   channel  { id, kind:'channel', name, topic, postPolicy:'all'|'admins', members?: [ids] }
+//            no `members` = every approved member; with `members` = private channel
+//   meeting  { id:'meeting:<meetingId>', kind:'meeting', meetingId, name }   stored on the first post
+//   dm       { id:'dm:<a>:<b>', kind:'dm', members:[a, b] }                 one-to-one, stored on the first post
+// Messages (db.data.chat) carry `roomId`; Socket.IO rooms use the same ids,
+// plus 'member:<id>' per connected member for targeted joins.
+// Message extras: `replyTo` (id in the same room), `mentions` (member ids from
+// @name in the text), `editedAt`, `reactions`
+// { emoji: [memberIds] }, `pinnedAt`/`pinnedBy` (shown above the room by
+// clients; see pins), and tombstones (`deletedAt`, `deletedBy`, text '').
+// Mutes, bans and the blocked-words filter come from server-moderation.js and
+// apply here, so every send path (socket, /chat, /addons/chat) is covered.
+// Read markers (db.data.chatReads): { memberId, roomId, messageId, ts } — the
+// newest message a member has seen in a room; anything later from others is unread.
+
+import { nanoid } from 'nanoid';
+import { memberRoles, hasPermission } from './server-roles.js';
+
+export const DEFAULT_ROOMS = [
+  { id: 'general', kind: 'channel', name: 'general', topic: 'Club chat', postPolicy: 'all' },
+  { id: 'announcements', kind: 'channel', name: 'announcements', topic: 'News from the organizers', postPolicy: 'admins' },
+];
+
+// Most messages one history or search page returns (and the default page size)
+export const CHAT_PAGE_LIMIT = 100;
+
+export const dmRoomId = (a, b) => `dm:${[a, b].sort().join(':')}`;
+export const memberRoom = (id) => `member:${id}`;
+
+const slug = (name) => String(name || '').toLowerCase().trim().replace(/^#/, '').replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+/**
+ * An actor is whoever is reading/posting:
+ *   { member: <member record> }  logged-in member
+ *   { member: null, viaPin: true } bootstrap admin PIN
+ *   { member: null, system: true, name } the server itself (announcements); posts like an admin
+ * @typedef {{ member?: any, viaPin?: boolean, system?: boolean, name?: string }} Actor
+ */
+
+/**
+ * @param {{ db: any, historyLimit?: number, moderation?: ReturnType<typeof import('./server-moderation.js').createModeration> }} opts
+ */
+export function createChat({ db, historyLimit = CHAT_PAGE_LIMIT, moderation = null }) {
+  let io = null;
+  const listeners = [];
+
+  const rooms = () => (db.data.rooms ||= []);
+  const messages = () => (db.data.chat ||= []);
+  const reads = () => (db.data.chatReads ||= []);
+  const clampLimit = (limit) => Math.min(historyLimit, Math.max(1, Number(limit) || historyLimit));
+  const isAdmin = (actor) => !!actor?.viaPin || !!actor?.system || memberRoles(actor?.member).includes('admin');
+  const canModerate = (actor) => !!actor?.viaPin || hasPermission(actor?.member, 'chat:moderate');
+  const isAuthor = (msg, actor) => !!actor?.member && msg.memberId === actor.member.id;
+
+  // Mutes/bans (server-moderation.js): null when allowed, else an error result
+  function sanctioned(actor, type) {
+    const s = moderation?.activeSanction(actor?.member?.id, type);
+    if (!s) return null;
+    const until = s.until ? ` until ${new Date(s.until).toISOString()}` : '';
+    return { ok: false, status: 403, error: `${s.type === 'ban' ? 'banned from chat' : 'muted'}${until}`, sanction: s.type };
+  }
+  const filtered = (text) => (moderation ? moderation.filterText(text) : { ok: true, text });
+
+  // Seed default rooms; messages from before rooms existed belong to #general
+  function migrate() {
+    for (const r of DEFAULT_ROOMS) {
+      if (!rooms().some(x => x.id === r.id)) rooms().push({ ...r, createdAt: Date.now() });
+    }
+    for (const msg of messages()) msg.roomId ||= 'general';
+  }
+
+  /**
+   * Look up a room. Meeting threads and DMs nobody has posted in yet come back
+   * unsaved (`stored: false`); reading them creates nothing, and post() stores
+   * them once a permitted member writes. Returns null for unknown ids.
+   */
+  function resolve(roomId) {
+    const id = String(roomId || 'general');
+    let room = rooms().find(x => x.id === id);
+    if (room) return { room, stored: true };
+
+    if (id.startsWith('meeting:')) {
+      const meeting = (db.data.meetings || []).find(x => x.id === id.slice('meeting:'.length));
+      if (!meeting) return null;
+      room = { id, kind: 'meeting', meetingId: meeting.id, name: meeting.title, postPolicy: 'all' };
+    } else if (id.startsWith('dm:')) {
+      const ids = id.slice(3).split(':');
+      const members = (db.data.members || []).filter(m => ids.includes(m.id));
+      if (ids.length !== 2 || members.length !== 2 || dmRoomId(ids[0], ids[1]) !== id) return null;
+      room = { id, kind: 'dm', members: ids, postPolicy: 'all' };
+    } else {
+      return null;
+    }
+    return { room, stored: false };
+  }
+
+  // Save a room resolve() returned unsaved; caller persists
+  function store(found) {
+    if (found.stored) return;
+    found.room.createdAt = Date.now();
+    rooms().push(found.room);
+    found.stored = true;
+    join(found.room);
+  }
+
+  function canRead(room, actor) {
+    if (room.kind === 'dm') return !!actor?.member && room.members.includes(actor.member.id);
+    if (!room.members) return true;
+    return isAdmin(actor) || (!!actor?.member && room.members.includes(actor.member.id));
+  }
+
+  function canPost(room, actor) {
+    if (!canRead(room, actor)) return false;
+    if (room.postPolicy === 'admins') return isAdmin(actor);
+    return true;
+  }
+
+  function displayName(actor) {
+    const m = actor?.member;
+    if (actor?.system) return actor.name || 'Snoot Club';
+    return m?.name || m?.phone || (actor?.viaPin ? 'Admin' : 'Member');
+  }
+
+  // Put the right connected sockets into a (new or changed) Socket.IO room
+  function join(room) {
+    if (!io) return;
+    if (room.members) io.in(room.members.map(memberRoom)).socketsJoin(room.id);
+    else io.socketsJoin(room.id);
+  }
+
+  /**
+   * Approved members who can read a room (banned members excluded).
+   */
+  function readers(room) {
+    return (db.data.members || []).filter(m =>
+      m.status === 'approved' && canRead(room, { member: m }) && !moderation?.activeSanction(m.id, 'ban'));
+  }
+
+  /**
+   * Members @mentioned in text, among the room's readers. `@annlee` matches
+   * "Ann Lee"; a bare first name (`@ann`) works when only one reader has it.
+   */
+  function mentionsIn(text, room, authorId) {
+    const handles = [...text.matchAll(/@([\p{L}\p{N}_.-]+)/gu)].map(x => x[1].toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''));
+    if (!handles.length) return [];
+    const norm = (s) => String(s || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const people = readers(room).filter(m => m.id !== authorId && m.name);
+    const ids = new Set();
+    for (const h of handles) {
+      if (!h) continue;
+      const full = people.filter(m => norm(m.name) === h);
+      const first = people.filter(m => norm(m.name.trim().split(/\s+/)[0]) === h);
+      const hit = full.length === 1 ? full : first.length === 1 ? first : [];
+      hit.forEach(m => ids.add(m.id));
+    }
+    return [...ids];
+  }
+
+  /**
+   * Rooms an actor can read, with a display name for DMs and, for members,
+   * the room's unread count.
+   */
+  function listRooms(actor) {
+    if (sanctioned(actor, 'ban')) return [];
+    const unread = actor.member ? unreadCounts(actor.member).rooms : null;
+    return rooms()
+      .filter(r => canRead(r, actor))
+      .map(r => {
+        const room = unread ? { ...r, unread: unread[r.id] || 0 } : r;
+        if (r.kind !== 'dm') return room;
+        const otherId = r.members.find(id => id !== actor.member.id);
+        const other = (db.data.members || []).find(m => m.id === otherId);
+        return { ...room, name: other?.name || other?.phone || 'Member' };
+      });
+  }
+
+  /**
+   * A page of messages in a room, oldest first. Without a cursor this is the
+   * latest page; `before`/`after` take a message id and page backwards/forwards.
+   * @param {Actor} actor
+   * @param {string} roomId
+   * @param {{ before?: string, after?: string, limit?: number }} [page]
+   * @returns {{ ok: true, room: any, messages: any[], hasMore: boolean } | { ok: false, status: number, error: string }}
+   */
+  function history(actor, roomId, { before, after, limit } = {}) {
+    const banned = sanctioned(actor, 'ban');
+    if (banned) return banned;
+    const found = resolve(roomId);
+    if (!found) return { ok: false, status: 404, error: 'room not found' };
+    if (!canRead(found.room, actor)) return { ok: false, status: 403, error: 'not a member of this room' };
+    const n = clampLimit(limit);
+    const list = messages().filter(x => x.roomId === found.room.id);
+
+    if (after) {
+      const i = list.findIndex(x => x.id === after);
+      if (i < 0) return { ok: false, status: 400, error: 'unknown cursor' };
+      const rest = list.slice(i + 1);
+      return { ok: true, room: found.room, messages: rest.slice(0, n), hasMore: rest.length > n };
+    }
+    let end = list.length;
+    if (before) {
+      end = list.findIndex(x => x.id === before);
+      if (end < 0) return { ok: false, status: 400, error: 'unknown cursor' };
+    }
+    const start = Math.max(0, end - n);
+    return { ok: true, room: found.room, messages: list.slice(start, end), hasMore: start > 0 };
+  }
+
+  /**
+   * Search message text in every room the actor can read (or just `roomId`).
+   * Every word of the query must appear; newest matches first. Page with
+   * `before` = id of the last match already shown.
+   */
+  function search(actor, { q, roomId, before, limit } = {}) {
+    const banned = sanctioned(actor, 'ban');
+    if (banned) return banned;
+    const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return { ok: false, status: 400, error: 'q required' };
+
+    let readable;
+    if (roomId) {
+      const found = resolve(roomId);
+      if (!found) return { ok: false, status: 404, error: 'room not found' };
+      if (!canRead(found.room, actor)) return { ok: false, status: 403, error: 'not a member of this room' };
+      readable = new Set([found.room.id]);
+    } else {
+      readable = new Set(rooms().filter(r => canRead(r, actor)).map(r => r.id));
+    }
+
+    const list = messages();
+    let end = list.length;
+    if (before) {
+      end = list.findIndex(x => x.id === before);
+      if (end < 0) return { ok: false, status: 400, error: 'unknown cursor' };
+    }
+    const n = clampLimit(limit);
+    const results = [];
+    for (let i = end - 1; i >= 0 && results.length <= n; i--) {
+      const msg = list[i];
+      if (!readable.has(msg.roomId) || msg.deletedAt) continue;
+      const text = msg.text.toLowerCase();
+      if (terms.every(t => text.includes(t))) results.push(msg);
+    }
+    return { ok: true, messages: results.slice(0, n), hasMore: results.length > n };
+  }
+
+  /**
+   * Move a member's read marker in a room to `messageId` (default: the latest
+   * message). Markers never move backwards. Caller persists (db.write({ chatReads: true })).
+   */
+  function markRead(actor, roomId, messageId) {
+    if (!actor?.member) return { ok: false, status: 403, error: 'members only' };
+    const banned = sanctioned(actor, 'ban');
+    if (banned) return banned;
+    const found = resolve(roomId);
+    if (!found) return { ok: false, status: 404, error: 'room not found' };
+    if (!canRead(found.room, actor)) return { ok: false, status: 403, error: 'not a member of this room' };
+    if (!found.stored) {
+      if (messageId) return { ok: false, status: 404, error: 'message not found' };
+      return { ok: true, roomId: found.room.id, messageId: null, unread: unreadCounts(actor.member) };
+    }
+    const inRoom = messages().filter(x => x.roomId === found.room.id);
+    const msg = messageId ? inRoom.find(x => x.id === messageId) : inRoom[inRoom.length - 1];
+    if (messageId && !msg) return { ok: false, status: 404, error: 'message not found' };
+
+    const memberId = actor.member.id;
+    let marker = reads().find(x => x.memberId === memberId && x.roomId === found.room.id);
+    if (!marker) {
+      marker = { memberId, roomId: found.room.id, messageId: null, ts: 0 };
+      reads().push(marker);
+    }
+    if (msg && msg.ts >= marker.ts) {
+      marker.messageId = msg.id;
+      marker.ts = msg.ts;
+    }
+    const event = { roomId: found.room.id, messageId: marker.messageId, unread: unreadCounts(actor.member) };
+    try { io?.to(memberRoom(memberId)).emit('chat:read', event); } catch {}
+    return { ok: true, ...event };
+  }
+
+  // Timestamp of the newest message a member has read in a room (0 = none)
+  function lastRead(memberId, roomId) {
+    return reads().find(x => x.memberId === memberId && x.roomId === roomId)?.ts || 0;
+  }
+
+  /**
+   * Unread messages per readable room (others' messages after the read marker).
+   * @returns {{ total: number, rooms: Record<string, number> }}
+   */
+  function unreadCounts(member) {
+    const actor = { member };
+    const since = new Map();
+    for (const r of rooms()) if (canRead(r, actor)) since.set(r.id, 0);
+    for (const m of reads()) if (m.memberId === member.id && since.has(m.roomId)) since.set(m.roomId, m.ts);
+
+    const counts = {};
+    let total = 0;
+    for (const msg of messages()) {
+      if (msg.memberId === member.id || msg.deletedAt || !since.has(msg.roomId) || msg.ts <= since.get(msg.roomId)) continue;
+      counts[msg.roomId] = (counts[msg.roomId] || 0) + 1;
+      total++;
+    }
+    return { total, rooms: counts };
+  }
+
+  /**
+   * Post a message: check permissions, persist, deliver to the room.
+   * @param {Actor} actor
+   * @param {string} roomId
+   * @param {string} text
+   * @param {{ replyTo?: string, pinned?: boolean, notify?: boolean }} [opts]
+   *   replyTo: id of a message in the same room; pinned: pin it (admins only);
+   *   notify: false skips onMessage listeners (the caller notifies members itself)
+   */
+  async function post(actor, roomId, text, { replyTo, pinned = false, notify = true } = {}) {
+    const trimmed = (text || '').toString().trim();
+    if (!trimmed) return { ok: false, status: 400, error: 'text required' };
+
+    await db.read();
+    const muted = sanctioned(actor, 'mute');
+    if (muted) return muted;
+    const checked = filtered(trimmed);
+    if (!checked.ok) return checked;
+    const clean = checked.text;
+    const found = resolve(roomId);
+    if (!found) return { ok: false, status: 404, error: 'room not found' };
+    if (!canPost(found.room, actor)) {
+      const why = found.room.postPolicy === 'admins' ? 'only admins can post here' : 'not a member of this room';
+      return { ok: false, status: 403, error: why };
+    }
+    if (pinned && !isAdmin(actor)) return { ok: false, status: 403, error: 'only admins can pin' };
+    if (replyTo) {
+      const parent = messages().find(x => x.id === replyTo);
+      if (!parent || parent.roomId !== found.room.id) return { ok: false, status: 400, error: 'replyTo must be a message in this room' };
+    }
+
+    const msg = {
+      id: nanoid(),
+      roomId: found.room.id,
+      memberId: actor?.member?.id || (actor?.system ? 'system' : 'admin'),
+      name: displayName(actor),
+      text: clean,
+      ts: Date.now(),
+      ...(replyTo ? { replyTo } : {}),
+    };
+    if (pinned) Object.assign(msg, { pinnedAt: msg.ts, pinnedBy: msg.memberId });
+    const mentions = mentionsIn(clean, found.room, actor?.member?.id);
+    if (mentions.length) msg.mentions = mentions;
+    const newRoom = !found.stored;
+    store(found);
+    messages().push(msg);
+    await db.write({ chat: [msg], ...(newRoom ? { rooms: [found.room] } : {}) });
+
+    try { io?.to(msg.roomId).emit('chat:new', msg); } catch {}
+    if (!notify) return { ok: true, message: msg };
+    for (const fn of listeners) {
+      Promise.resolve().then(() => fn(msg, found.room)).catch(e => console.error(e));
+    }
+    return { ok: true, message: msg };
+  }
+
+  /**
+   * Run `fn(message, room)` after every new message is stored (push, etc.).
+   */
+  function onMessage(fn) {
+    listeners.push(fn);
+  }
+
+  // Message the actor can see, or an error result. Moderators reach any room (reported DMs).
+  function findMessage(actor, messageId, { moderating = false } = {}) {
+    const msg = messages().find(x => x.id === messageId);
+    const room = msg && rooms().find(r => r.id === msg.roomId);
+    if (!msg || !room || !(canRead(room, actor) || (moderating && canModerate(actor)))) return { ok: false, status: 404, error: 'message not found' };
+    if (msg.deletedAt) return { ok: false, status: 410, error: 'message deleted' };
+    return { ok: true, msg, room };
+  }
+
+  /**
+   * Change the text of your own message.
+   */
+  async function editMessage(actor, messageId, text) {
+    const trimmed = (text || '').toString().trim();
+    if (!trimmed) return { ok: false, status: 400, error: 'text required' };
+    await db.read();
+    const muted = sanctioned(actor, 'mute');
+    if (muted) return muted;
+    const found = findMessage(actor, messageId);
+    if (!found.ok) return found;
+    if (!isAuthor(found.msg, actor)) return { ok: false, status: 403, error: 'you can only edit your own messages' };
+    const checked = filtered(trimmed);
+    if (!checked.ok) return checked;
+    found.msg.text = checked.text;
+    const mentions = mentionsIn(checked.text, found.room, found.msg.memberId);
+    if (mentions.length) found.msg.mentions = mentions;
+    else delete found.msg.mentions;
+    found.msg.editedAt = Date.now();
+    await db.write({ chat: [found.msg] });
+    try { io?.to(found.msg.roomId).emit('chat:update', found.msg); } catch {}
+    return { ok: true, message: found.msg };
+  }
+
+  /**
+   * Delete a message, leaving a tombstone so replies and history stay in place.
+   * Authors delete their own; moderators (chat:moderate) and the PIN delete anyone's.
+   * `moderated` is set when someone else's message was removed.
+   */
+  async function deleteMessage(actor, messageId) {
+    await db.read();
+    const found = findMessage(actor, messageId, { moderating: true });
+    if (!found.ok) return found;
+    const { msg } = found;
+    const own = isAuthor(msg, actor);
+    if (!own && !canModerate(actor)) return { ok: false, status: 403, error: 'you can only delete your own messages' };
+
+    const before = { ...msg };
+    msg.text = '';
+    msg.deletedAt = Date.now();
+    msg.deletedBy = actor?.member?.id || 'admin';
+    delete msg.reactions;
+    await db.write({ chat: [msg] });
+    try { io?.to(msg.roomId).emit('chat:delete', { id: msg.id, roomId: msg.roomId, deletedAt: msg.deletedAt }); } catch {}
+    return { ok: true, message: msg, moderated: !own, before };
+  }
+
+  /**
+   * Toggle the actor's emoji reaction on a message (members only).
+   */
+  async function react(actor, messageId, emoji) {
+    if (!actor?.member) return { ok: false, status: 403, error: 'members only' };
+    const e = (emoji || '').toString().trim();
+    if (!e || e.length > 16 || /\s/.test(e)) return { ok: false, status: 400, error: 'emoji required' };
+    await db.read();
+    const muted = sanctioned(actor, 'mute');
+    if (muted) return muted;
+    const found = findMessage(actor, messageId);
+    if (!found.ok) return found;
+    const { msg } = found;
+    const reactions = (msg.reactions ||= {});
+    const who = reactions[e] || [];
+    if (!who.length && Object.keys(reactions).length >= 20) return { ok: false, status: 400, error: 'too many different reactions' };
+
+    const me = actor.member.id;
+    reactions[e] = who.includes(me) ? who.filter(id => id !== me) : [...who, me];
+    if (!reactions[e].length) delete reactions[e];
+    await db.write({ chat: [msg] });
+    const event = { id: msg.id, roomId: msg.roomId, reactions };
+    try { io?.to(msg.roomId).emit('chat:reaction', event); } catch {}
+    return { ok: true, ...event };
+  }
+
+  /**
+   * Flag a message for the moderators' report queue (members only).
+   */
+  async function reportMessage(actor, messageId, reason) {
+    if (!actor?.member) return { ok: false, status: 403, error: 'members only' };
+    if (!moderation) return { ok: false, status: 501, error: 'reporting not available' };
+    await db.read();
+    const found = findMessage(actor, messageId);
+    if (!found.ok) return found;
+    const r = moderation.report({ message: found.msg, reporterId: actor.member.id, reason });
+    if (r.ok) await db.write();
+    return r;
+  }
+
+  /**
+   * Pin or unpin a message (moderators).
+   */
+  async function pin(actor, messageId, pinned) {
+    await db.read();
+    const found = findMessage(actor, messageId, { moderating: true });
+    if (!found.ok) return found;
+    if (!canModerate(actor)) return { ok: false, status: 403, error: 'forbidden' };
+    const { msg } = found;
+    if (pinned) Object.assign(msg, { pinnedAt: Date.now(), pinnedBy: actor?.member?.id || 'admin' });
+    else { delete msg.pinnedAt; delete msg.pinnedBy; }
+    await db.write({ chat: [msg] });
+    try { io?.to(msg.roomId).emit('chat:update', msg); } catch {}
+    return { ok: true, message: msg };
+  }
+
+  /**
+   * Pinned messages in a room, newest pin first.
+   */
+  function pins(actor, roomId) {
+    const banned = sanctioned(actor, 'ban');
+    if (banned) return banned;
+    const room = rooms().find(x => x.id === String(roomId || 'general'));
+    if (!room || !canRead(room, actor)) return { ok: false, status: 404, error: 'room not found' };
+    const list = messages().filter(x => x.roomId === room.id && x.pinnedAt && !x.deletedAt);
+    return { ok: true, room, messages: list.sort((a, b) => b.pinnedAt - a.pinnedAt) };
+  }
+
+  /**
+   * Create a channel (admins). `members` makes it private.
+   */
+  async function createChannel({ name, topic = '', postPolicy = 'all', members }, createdBy) {
+    const id = slug(name);
+    if (!id) return { ok: false, status: 400, error: 'name required' };
+    await db.read();
+    if (rooms().some(x => x.id === id)) return { ok: false, status: 409, error: 'room exists' };
+    const room = {
+      id, kind: 'channel', name: id, topic: String(topic),
+      postPolicy: postPolicy === 'admins' ? 'admins' : 'all',
+      ...(Array.isArray(members) ? { members: [...new Set(members.map(String))] } : {}),
+      createdBy, createdAt: Date.now(),
+    };
+    rooms().push(room);
+    await db.write();
+    join(room);
+    return { ok: true, room };
+  }
+
+  /**
+   * Change a channel's topic, post policy or membership. `members: null` opens it to everyone.
+   */
+  async function updateChannel(roomId, changes) {
+    await db.read();
+    const room = rooms().find(x => x.id === roomId);
+    if (!room) return { ok: false, status: 404, error: 'room not found' };
+    if (room.kind !== 'channel') return { ok: false, status: 400, error: 'only channels can be edited' };
+    if (changes.topic !== undefined) room.topic = String(changes.topic);
+    if (changes.postPolicy !== undefined) room.postPolicy = changes.postPolicy === 'admins' ? 'admins' : 'all';
+    if (changes.members === null) delete room.members;
+    else if (Array.isArray(changes.members)) room.members = [...new Set(changes.members.map(String))];
+    await db.write();
+
+    if (io) {
+      // Re-sync socket membership: drop everyone, then re-add who may read
+      io.socketsLeave(room.id);
+      join(room);
+    }
+    return { ok: true, room };
+  }
+
+  /**
+   * The DM room between two members (stored once either of them posts).
+   */
+  async function openDm(actor, otherId) {
+    if (!actor?.member) return { ok: false, status: 403, error: 'members only' };
+    if (otherId === actor.member.id) return { ok: false, status: 400, error: 'cannot message yourself' };
+    await db.read();
+    const banned = sanctioned(actor, 'ban');
+    if (banned) return banned;
+    const other = (db.data.members || []).find(m => m.id === otherId && m.status === 'approved');
+    if (!other) return { ok: false, status: 404, error: 'member not found' };
+    return { ok: true, room: resolve(dmRoomId(actor.member.id, other.id)).room };
+  }
+
+  /**
+   * Wire a Socket.IO server; sockets must carry socket.data.member.id.
+   */
+  function attach(server) {
+    io = server;
+  }
+
+  // Rooms a freshly connected socket should be in
+  function socketRooms(member) {
+    const actor = { member };
+    if (sanctioned(actor, 'ban')) return [];
+    return [memberRoom(member.id), ...rooms().filter(r => canRead(r, actor)).map(r => r.id)];
+  }
+
+  return {
+    migrate, resolve, canRead, canPost, readers, listRooms, history, search, markRead, lastRead, unreadCounts, post,
+    editMessage, deleteMessage, react, pin, pins, reportMessage, onMessage,
+    createChannel, updateChannel, openDm, attach, socketRooms,
+  };
+}
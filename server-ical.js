@@ -0,0 +1,97 @@
+// server-ical.js
+// Minimal iCalendar (RFC 5545) writer for club meetings.
+
+const CRLF = '\r\n';
+
+// YYYYMMDDTHHMMSSZ
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function fold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 sequence
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join(CRLF + ' ');
+}
+
+/**
+ * Build a VEVENT for one meeting.
+ * @param {any} meeting
+ * @param {{ domain?: string, durationMinutes?: number, alarmOffsets?: number[] }} [opts]
+ * @returns {string[]} unfolded lines
+ */
+export function meetingEvent(meeting, { domain = 'snootclub', durationMinutes = 120, alarmOffsets } = {}) {
+  const start = new Date(meeting.startsAt).getTime();
+  if (!Number.isFinite(start)) return [];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${meeting.id}@${domain}`,
+    `DTSTAMP:${icsDate(meeting.updatedAt || meeting.createdAt || Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(start + durationMinutes * 60 * 1000)}`,
+    `SUMMARY:${escapeText(meeting.cancelled ? `CANCELLED: ${meeting.title}` : meeting.title)}`,
+  ];
+  if (meeting.location) lines.push(`LOCATION:${escapeText(meeting.location)}`);
+
+  const description = [meeting.description, meeting.cancelled && meeting.cancelReason].filter(Boolean).join('\n\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  // Bump SEQUENCE on every change so calendar apps pick up edits/cancellations
+  lines.push(`SEQUENCE:${meeting.sequence || 0}`);
+  lines.push(`STATUS:${meeting.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  if (!meeting.cancelled) {
+    const offsets = alarmOffsets || [meeting.reminderMinutes || 60];
+    for (const off of offsets) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(meeting.title)}`,
+        `TRIGGER:-PT${off}M`,
+        'END:VALARM',
+      );
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a full VCALENDAR document.
+ * @param {any[]} meetings
+ * @param {{ name?: string, domain?: string, method?: string }} [opts]
+ * @returns {string}
+ */
+export function buildCalendar(meetings, { name = 'Snoot Club', domain, method } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Snoot Club//Meetings//EN',
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  for (const meeting of meetings) lines.push(...meetingEvent(meeting, { domain }));
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join(CRLF) + CRLF;
+}
@@ -0,0 +1,95 @@
+// server-invites.js
+// Admin-issued invite codes. Signing up with a valid code (either registration
+// path) approves the member straight away and records who invited them.
+// Stored in db.data.invites:
+//   { id, code, note, maxUses (null = unlimited), uses, expiresAt (null = never),
+//     createdBy, createdAt, revokedAt?, redemptions: [{ memberId, at }] }
+// Members get `invitedBy` (the inviter's member id, or 'pin') and `inviteId`.
+
+import { nanoid, customAlphabet } from 'nanoid';
+
+// No 0/O/1/I/L, so codes survive being read aloud or typed from a flyer
+const newCode = customAlphabet('23456789ABCDEFGHJKMNPQRSTUVWXYZ', 8);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const cleanCode = (code) => String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+/**
+ * @param {{ db: any }} opts
+ */
+export function createInvites({ db }) {
+  const invites = () => (db.data.invites ||= []);
+
+  function stateOf(invite, now = Date.now()) {
+    if (invite.revokedAt) return 'revoked';
+    if (invite.expiresAt && invite.expiresAt <= now) return 'expired';
+    if (invite.maxUses && invite.uses >= invite.maxUses) return 'used';
+    return 'active';
+  }
+
+  /**
+   * New invite. Caller persists.
+   * @param {{ maxUses?: number|null, expiresInDays?: number|null, note?: string }} input maxUses defaults to 1
+   * @param {string} createdBy actor id
+   */
+  function create(input = {}, createdBy) {
+    const maxUses = input.maxUses === null || input.maxUses === 0 ? null : Math.floor(Number(input.maxUses ?? 1));
+    if (maxUses !== null && !(maxUses >= 1 && maxUses <= 1000)) return { ok: false, status: 400, error: 'maxUses must be 1–1000, or null for unlimited' };
+    const days = input.expiresInDays === undefined || input.expiresInDays === null ? null : Number(input.expiresInDays);
+    if (days !== null && !(days > 0 && days <= 365)) return { ok: false, status: 400, error: 'expiresInDays must be 1–365, or null for never' };
+
+    let code;
+    do { code = newCode(); } while (invites().some(i => i.code === code));
+    const invite = {
+      id: nanoid(),
+      code,
+      note: String(input.note || '').trim().slice(0, 120),
+      maxUses,
+      uses: 0,
+      expiresAt: days ? Date.now() + days * DAY : null,
+      createdBy,
+      createdAt: Date.now(),
+      redemptions: [],
+    };
+    invites().push(invite);
+    return { ok: true, invite };
+  }
+
+  /**
+   * Is this code usable right now?
+   * @returns {{ ok: true, invite: any } | { ok: false, status: number, error: string }}
+   */
+  function check(code) {
+    const invite = invites().find(i => i.code === cleanCode(code));
+    if (!invite) return { ok: false, status: 400, error: 'invalid invite code' };
+    const state = stateOf(invite);
+    if (state !== 'active') return { ok: false, status: 400, error: `invite code ${state === 'used' ? 'used up' : state}` };
+    return { ok: true, invite };
+  }
+
+  /**
+   * Approve a new member through an invite checked with check(). Caller persists.
+   */
+  function redeem(invite, member) {
+    invite.uses++;
+    invite.redemptions.push({ memberId: member.id, at: Date.now() });
+    Object.assign(member, { status: 'approved', approvedAt: Date.now(), invitedBy: invite.createdBy, inviteId: invite.id });
+  }
+
+  function revoke(id) {
+    const invite = invites().find(i => i.id === id);
+    if (!invite) return { ok: false, status: 404, error: 'not found' };
+    if (invite.revokedAt) return { ok: false, status: 409, error: 'already revoked' };
+    invite.revokedAt = Date.now();
+    return { ok: true, invite };
+  }
+
+  const view = (invite) => ({ ...invite, state: stateOf(invite) });
+
+  return {
+    create, check, redeem, revoke, view,
+    list: () => invites().slice().reverse().map(view),
+    find: (id) => invites().find(i => i.id === id) || null,
+  };
+}
@@ -0,0 +1,82 @@
+// server-mailer.js
+// Outgoing email behind one small interface so the transport can be swapped:
+//   send({ to, subject, text }) -> Promise<{ id }>   (throws if it couldn't be handed off)
+// Built-in transports:
+//   console  log that a message was sent — recipient masked, body withheld (default; links carry
+//            reset/verification tokens, so they must not end up in logs)
+//   file     write each message as a .txt file under `dir` (dev/staging: open it to click links)
+//   webhook  POST { from, to, subject, text } as JSON to `url` (relay to any mail API)
+// Or pass any object with a send(message) method as `transport`.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { nanoid } from 'nanoid';
+
+export const MAIL_TRANSPORTS = ['console', 'file', 'webhook'];
+
+// a***@example.com
+function maskAddress(address) {
+  const [local, domain] = String(address).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+}
+
+function consoleTransport() {
+  return {
+    async send(msg) {
+      console.log(`mail ${msg.id} to ${maskAddress(msg.to)}: "${msg.subject}" (not delivered; body not logged — use MAIL_TRANSPORT=file to read it)`);
+    },
+  };
+}
+
+function fileTransport(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    async send(msg) {
+      const name = `${new Date(msg.date).toISOString().replace(/[:.]/g, '-')}-${msg.id}.txt`;
+      const body = `From: ${msg.from}\nTo: ${msg.to}\nDate: ${new Date(msg.date).toUTCString()}\nSubject: ${msg.subject}\n\n${msg.text}\n`;
+      await fs.promises.writeFile(path.join(dir, name), body);
+    },
+  };
+}
+
+function webhookTransport(url, token) {
+  if (!url) throw new Error('MAIL_WEBHOOK_URL is required for the webhook mail transport');
+  return {
+    async send({ from, to, subject, text }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ from, to, subject, text }),
+      });
+      if (!res.ok) throw new Error(`mail webhook responded ${res.status}`);
+    },
+  };
+}
+
+/**
+ * @param {{
+ *   transport?: 'console'|'file'|'webhook'|{ send: (msg: any) => Promise<void> },
+ *   from?: string,
+ *   dir?: string,           // file transport
+ *   url?: string,           // webhook transport
+ *   token?: string,         // webhook transport: sent as a Bearer token
+ * }} opts
+ */
+export function createMailer({ transport = 'console', from = 'Snoot Club <no-reply@localhost>', dir, url, token } = {}) {
+  let impl;
+  if (typeof transport === 'object') impl = transport;
+  else if (transport === 'file') impl = fileTransport(dir);
+  else if (transport === 'webhook') impl = webhookTransport(url, token);
+  else impl = consoleTransport();
+
+  /**
+   * @param {{ to: string, subject: string, text: string }} message
+   */
+  async function send({ to, subject, text }) {
+    const msg = { id: nanoid(), from, to, subject, text, date: Date.now() };
+    await impl.send(msg);
+    return { id: msg.id };
+  }
+
+  return { send, transport: typeof transport === 'object' ? 'custom' : transport };
+}
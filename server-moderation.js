@@ -0,0 +1,185 @@
+// server-moderation.js
+// Chat moderation state, kept in lowdb next to the chat it governs:
+//   db.data.chatReports    { id, messageId, roomId, reporterId, reason, status:'open'|'resolved'|'dismissed',
+//                            message: { memberId, name, text }, createdAt, resolvedAt?, resolvedBy?, note? }
+//   db.data.chatSanctions  { id, memberId, type:'mute'|'ban', until: ms|null, reason, by, createdAt, liftedAt?, liftedBy? }
+//   db.data.settings.chatFilter { words: string[], mode: 'mask'|'reject' }
+// A mute stops a member posting, editing and reacting; a ban also shuts them
+// out of reading chat and connecting a socket. `until: null` never expires.
+// Mutations land in db.data; callers persist with db.write() like everywhere else.
+
+import { nanoid } from 'nanoid';
+
+// Most reports one listReports() page returns
+export const REPORT_PAGE_LIMIT = 500;
+
+export const SANCTION_TYPES = ['mute', 'ban'];
+export const FILTER_MODES = ['mask', 'reject'];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a blocked-words list: lower case, trimmed, unique, no blanks.
+ * Accepts an array or a comma/newline separated string.
+ */
+export function cleanWords(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+  return [...new Set(list.map(w => String(w).trim().toLowerCase()).filter(Boolean))].slice(0, 500);
+}
+
+/**
+ * @param {{ db: any, defaultWords?: string[] }} opts defaultWords seeds the filter the first time
+ */
+export function createModeration({ db, defaultWords = [] }) {
+  const reports = () => (db.data.chatReports ||= []);
+  const sanctions = () => (db.data.chatSanctions ||= []);
+  const settings = () => (db.data.settings ||= {});
+
+  let compiled = { key: null, re: null };
+
+  function filterSettings() {
+    const s = settings();
+    s.chatFilter ||= { words: cleanWords(defaultWords), mode: 'mask' };
+    return s.chatFilter;
+  }
+
+  function setFilter({ words, mode }) {
+    const f = filterSettings();
+    if (words !== undefined) f.words = cleanWords(words);
+    if (mode !== undefined) {
+      if (!FILTER_MODES.includes(mode)) return { ok: false, status: 400, error: `mode must be one of: ${FILTER_MODES.join(', ')}` };
+      f.mode = mode;
+    }
+    return { ok: true, filter: f };
+  }
+
+  // Whole-word, case-insensitive match of any blocked word (rebuilt when the list changes)
+  function wordsRe() {
+    const { words } = filterSettings();
+    const key = words.join('\n');
+    if (compiled.key !== key) {
+      compiled = { key, re: words.length ? new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escapeRe).join('|')})(?![\\p{L}\\p{N}])`, 'giu') : null };
+    }
+    return compiled.re;
+  }
+
+  /**
+   * Run text through the blocked-words filter.
+   * @returns {{ ok: true, text: string, filtered: boolean } | { ok: false, status: number, error: string }}
+   */
+  function filterText(text) {
+    const re = wordsRe();
+    if (!re) return { ok: true, text, filtered: false };
+    re.lastIndex = 0;
+    if (!re.test(text)) return { ok: true, text, filtered: false };
+    if (filterSettings().mode === 'reject') return { ok: false, status: 422, error: 'message contains blocked words' };
+    re.lastIndex = 0;
+    return { ok: true, text: text.replace(re, w => '*'.repeat([...w].length)), filtered: true };
+  }
+
+  const inForce = (s, now) => !s.liftedAt && (s.until == null || s.until > now);
+  const current = (memberId, type) => {
+    const now = Date.now();
+    return sanctions().find(s => s.memberId === memberId && s.type === type && inForce(s, now)) || null;
+  };
+
+  /**
+   * The sanction of `type` currently in force for a member, if any.
+   * A ban also counts as a mute.
+   */
+  function activeSanction(memberId, type) {
+    if (!memberId) return null;
+    return current(memberId, type) || (type === 'mute' ? current(memberId, 'ban') : null);
+  }
+
+  /**
+   * Mute or ban a member. Replaces any active sanction of the same type.
+   * @param {{ memberId: string, type: 'mute'|'ban', minutes?: number, reason?: string, by: string }} opts
+   */
+  function sanction({ memberId, type, minutes, reason = '', by }) {
+    if (!SANCTION_TYPES.includes(type)) return { ok: false, status: 400, error: 'unknown sanction' };
+    const mins = minutes == null || minutes === '' ? null : Number(minutes);
+    if (mins !== null && !(mins > 0)) return { ok: false, status: 400, error: 'minutes must be a positive number' };
+    lift(memberId, type, by);
+    const now = Date.now();
+    const entry = {
+      id: nanoid(), memberId, type,
+      until: mins === null ? null : now + mins * 60 * 1000,
+      reason: String(reason).slice(0, 500), by, createdAt: now,
+    };
+    sanctions().push(entry);
+    return { ok: true, sanction: entry };
+  }
+
+  // End active sanctions of a type; returns what was lifted
+  function lift(memberId, type, by) {
+    const now = Date.now();
+    const lifted = [];
+    for (const s of sanctions()) {
+      if (s.memberId !== memberId || s.type !== type || !inForce(s, now)) continue;
+      s.liftedAt = now;
+      s.liftedBy = by;
+      lifted.push(s);
+    }
+    return lifted;
+  }
+
+  /**
+   * What's in force for a member, for admin views.
+   */
+  function statusOf(memberId) {
+    const view = (s) => s ? { until: s.until, reason: s.reason, since: s.createdAt } : null;
+    return { muted: view(current(memberId, 'mute')), banned: view(current(memberId, 'ban')) };
+  }
+
+  /**
+   * A member reports a message. One open report per reporter and message.
+   */
+  function report({ message, reporterId, reason = '' }) {
+    if (message.memberId === reporterId) return { ok: false, status: 400, error: 'you cannot report your own message' };
+    if (reports().some(r => r.messageId === message.id && r.reporterId === reporterId && r.status === 'open')) {
+      return { ok: false, status: 409, error: 'already reported' };
+    }
+    const entry = {
+      id: nanoid(),
+      messageId: message.id,
+      roomId: message.roomId,
+      reporterId,
+      reason: String(reason).trim().slice(0, 500),
+      status: 'open',
+      message: { memberId: message.memberId, name: message.name, text: message.text, ts: message.ts },
+      createdAt: Date.now(),
+    };
+    reports().push(entry);
+    return { ok: true, report: entry };
+  }
+
+  /**
+   * Report queue, newest first.
+   * @param {{ status?: string, limit?: number }} q
+   */
+  function listReports({ status = 'open', limit = 100 } = {}) {
+    const size = Math.min(Math.max(Number(limit) || 100, 1), REPORT_PAGE_LIMIT);
+    return reports().filter(r => !status || status === 'all' || r.status === status).slice().reverse().slice(0, size);
+  }
+
+  /**
+   * Close a report. Every other open report on the same message closes with it.
+   */
+  function closeReport(reportId, { status, note = '', by }) {
+    if (!['resolved', 'dismissed'].includes(status)) return { ok: false, status: 400, error: 'status must be resolved or dismissed' };
+    const entry = reports().find(r => r.id === reportId);
+    if (!entry) return { ok: false, status: 404, error: 'report not found' };
+    if (entry.status !== 'open') return { ok: false, status: 409, error: 'report already closed' };
+    const now = Date.now();
+    const closed = reports().filter(r => r.messageId === entry.messageId && r.status === 'open');
+    for (const r of closed) Object.assign(r, { status, note: String(note).slice(0, 500), resolvedAt: now, resolvedBy: by });
+    return { ok: true, report: entry, closed: closed.length };
+  }
+
+  return {
+    filterSettings, setFilter, filterText,
+    activeSanction, sanction, lift, statusOf,
+    report, listReports, closeReport,
+  };
+}
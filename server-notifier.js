@@ -0,0 +1,199 @@
+// server-notifier.js
+// SMS and push providers behind one interface, so login codes, meeting notices,
+// reminders, announcements and chat pushes go out the same way whatever is
+// configured (the outbox in server-outbox.js drives them):
+//   sms.send({ to, body })                                        -> Promise<{ providerIds }>
+//   push.deliver(tokens, { title, body, data?, silent? }, { jobId? }) -> Promise<{ ids, errors }>
+// Errors retrying can't fix carry `permanent: true`.
+// Built-in providers:
+//   twilio   SMS through a twilio() client (enabled once it has a client and a from number)
+//   expo     push through expo-server-sdk, with receipt checks (server-push.js)
+//   webhook  POST { channel, to, body, ... } as JSON to `url` (relay to any SMS/push API)
+//   console  log each message (dev)
+//   file     append each message as a JSON line to `file` (dev: codes land there, not in responses)
+//   none     nothing is sent; `enabled` is false so callers don't queue for the channel
+// Or pass any object with send() (SMS) or deliver() (push) as the provider.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { nanoid } from 'nanoid';
+import { createPush } from './server-push.js';
+import { permanentError } from './server-outbox.js';
+
+export const SMS_PROVIDERS = ['twilio', 'webhook', 'console', 'file', 'none'];
+export const PUSH_PROVIDERS = ['expo', 'webhook', 'console', 'file', 'none'];
+
+// Twilio errors retrying can't fix: invalid number, region blocked, unsubscribed, not reachable, landline
+const TWILIO_PERMANENT = new Set([21211, 21408, 21610, 21612, 21614]);
+
+// ---- Dev sinks (console / file) ----
+function devSink(kind, file) {
+  if (kind === 'file') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return (entry) => fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+  }
+  return async (entry) => {
+    const { channel, to, title, body } = entry;
+    console.log(`--- ${channel} ${entry.id} → ${[].concat(to).join(', ')} ---\n${title ? title + '\n' : ''}${body}\n--- end ${channel} ---`);
+  };
+}
+
+// ---- Webhook ----
+async function postWebhook(url, token, payload) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify(payload),
+    });
+  } catch (e) {
+    throw new Error(`${payload.channel} webhook unreachable: ${e?.message || e}`);
+  }
+  if (!res.ok) {
+    const e = new Error(`${payload.channel} webhook responded ${res.status}`);
+    // 4xx means the relay refused this message; timeouts and rate limits may pass later
+    if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) e.permanent = true;
+    throw e;
+  }
+  const reply = await res.json().catch(() => ({}));
+  const ids = [].concat(reply?.ids || reply?.id || []).map(String);
+  return ids.length ? ids : [`wh_${nanoid()}`];
+}
+
+function webhookRequired(url) {
+  if (!url) throw new Error('NOTIFY_WEBHOOK_URL is required for the webhook SMS/push provider');
+}
+
+/**
+ * @param {{
+ *   provider?: 'twilio'|'webhook'|'console'|'file'|'none'|{ send: (msg: { to: string, body: string }) => Promise<{ providerIds: string[] }> },
+ *   twilioClient?: any,       // twilio: twilio() client
+ *   from?: string,            // twilio: sending number
+ *   statusCallback?: string,  // twilio: delivery report URL
+ *   url?: string,             // webhook
+ *   token?: string,           // webhook: sent as a Bearer token
+ *   file?: string,            // file
+ * }} opts
+ * @returns {{ name: string, enabled: boolean, send: (msg: { to: string, body: string }) => Promise<{ providerIds: string[] }> }}
+ */
+export function createSmsProvider({ provider = 'none', twilioClient, from, statusCallback, url, token, file } = {}) {
+  if (typeof provider === 'object') return { name: 'custom', enabled: true, send: (msg) => provider.send(msg) };
+
+  if (provider === 'twilio') {
+    const enabled = !!(twilioClient && from);
+    return {
+      name: 'twilio',
+      enabled,
+      async send({ to, body }) {
+        if (!enabled) throw permanentError('SMS not configured');
+        try {
+          const msg = await twilioClient.messages.create({ to, from, body, ...(statusCallback ? { statusCallback } : {}) });
+          return { providerIds: [msg.sid] };
+        } catch (e) {
+          if (TWILIO_PERMANENT.has(e?.code)) e.permanent = true;
+          throw e;
+        }
+      },
+    };
+  }
+
+  if (provider === 'webhook') {
+    webhookRequired(url);
+    return {
+      name: 'webhook',
+      enabled: true,
+      async send({ to, body }) {
+        return { providerIds: await postWebhook(url, token, { channel: 'sms', to, body }) };
+      },
+    };
+  }
+
+  if (provider === 'console' || provider === 'file') {
+    const write = devSink(provider, file);
+    return {
+      name: provider,
+      enabled: true,
+      async send({ to, body }) {
+        const entry = { id: `dev_${nanoid()}`, channel: 'sms', to, body, date: Date.now() };
+        await write(entry);
+        return { providerIds: [entry.id] };
+      },
+    };
+  }
+
+  if (provider !== 'none') throw new Error(`unknown SMS provider "${provider}" (${SMS_PROVIDERS.join(', ')})`);
+  return { name: 'none', enabled: false, async send() { throw permanentError('SMS not configured'); } };
+}
+
+/**
+ * @param {{
+ *   provider?: 'expo'|'webhook'|'console'|'file'|'none'|{ deliver: Function, checkReceipts?: Function, start?: Function, stop?: Function },
+ *   db?: any,                 // expo: ticket/receipt bookkeeping
+ *   expo?: any,               // expo: Expo SDK client
+ *   onReceipt?: (ticketId: string, r: { ok: boolean, error?: string }) => void,  // expo
+ *   url?: string,             // webhook
+ *   token?: string,           // webhook: sent as a Bearer token
+ *   file?: string,            // file
+ * }} opts
+ */
+export function createPushProvider({ provider = 'none', db, expo, onReceipt, url, token, file } = {}) {
+  let impl;
+  let name = provider;
+  if (typeof provider === 'object') {
+    impl = provider;
+    name = 'custom';
+  } else if (provider === 'expo') {
+    // Delivery + receipt checks (prunes DeviceNotRegistered tokens); see server-push.js
+    impl = createPush({ db, expo, onReceipt });
+  } else if (provider === 'webhook') {
+    webhookRequired(url);
+    impl = {
+      async deliver(tokens, { title, body, data, silent = false }) {
+        if (!tokens.length) return { ids: [], errors: [] };
+        return { ids: await postWebhook(url, token, { channel: 'push', to: tokens, title, body, data, silent }), errors: [] };
+      },
+    };
+  } else if (provider === 'console' || provider === 'file') {
+    const write = devSink(provider, file);
+    impl = {
+      async deliver(tokens, { title, body, data, silent = false }) {
+        if (!tokens.length) return { ids: [], errors: [] };
+        const entry = { id: `dev_${nanoid()}`, channel: 'push', to: tokens, title, body, data, silent, date: Date.now() };
+        await write(entry);
+        return { ids: [entry.id], errors: [] };
+      },
+    };
+  } else if (provider === 'none') {
+    impl = { async deliver() { throw permanentError('push not configured'); } };
+  } else {
+    throw new Error(`unknown push provider "${provider}" (${PUSH_PROVIDERS.join(', ')})`);
+  }
+
+  /**
+   * Push to every device of the given members, best effort (chat).
+   * @returns {Promise<number>} notifications accepted
+   */
+  async function send(members, note) {
+    const tokens = members.flatMap(mem => mem.expoTokens || []);
+    if (!tokens.length || name === 'none') return 0;
+    try {
+      const { ids } = await impl.deliver(tokens, note);
+      return ids.length;
+    } catch (e) {
+      console.error(e);
+      return 0;
+    }
+  }
+
+  return {
+    name,
+    enabled: name !== 'none',
+    deliver: (tokens, note, meta) => impl.deliver(tokens, note, meta),
+    send,
+    // Only Expo has receipts; the rest report nothing to check
+    checkReceipts: () => (impl.checkReceipts ? impl.checkReceipts() : Promise.resolve({ checked: 0, pruned: 0 })),
+    start: (intervalMs) => impl.start?.(intervalMs),
+    stop: () => impl.stop?.(),
+  };
+}
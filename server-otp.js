@@ -0,0 +1,73 @@
+// server-otp.js
+// One-time SMS codes kept in the database (db.data.otps) so they survive
+// restarts and are shared by every instance using the same data. Codes are
+// stored as HMACs, never in plain text.
+//
+// Store interface (swap in another backend by implementing the same methods):
+//   issue(phone, { purpose })        -> { ok: true, code } | { ok: false, retryAfterMs }
+//   verify(phone, code, { purpose }) -> { ok: true } | { ok: false, reason: 'missing'|'expired'|'bad' }
+//   discard(phone, { purpose })
+//   sweep()                           -> number of expired entries removed
+// Mutations land in db.data; callers persist with db.write() like everywhere else.
+
+import crypto from 'node:crypto';
+
+const makeCode = () => String(crypto.randomInt(100000, 1000000));
+
+/**
+ * @param {{
+ *   db: any,
+ *   secret: string,         // HMAC key; must be the same on every instance
+ *   ttlMs?: number,         // code lifetime
+ *   cooldownMs?: number,    // minimum gap between sends to one phone
+ *   maxAttempts?: number,   // wrong guesses before the code is thrown away
+ * }} opts
+ */
+export function createOtpStore({ db, secret, ttlMs = 10 * 60 * 1000, cooldownMs = 60 * 1000, maxAttempts = 5 }) {
+  const list = () => (db.data.otps ||= []);
+  const find = (phone, purpose) => list().find(x => x.phone === phone && x.purpose === purpose);
+  const hash = (phone, purpose, code) =>
+    crypto.createHmac('sha256', secret).update(`${purpose}:${phone}:${code}`).digest('hex');
+
+  function discard(phone, { purpose = 'login' } = {}) {
+    db.data.otps = list().filter(x => !(x.phone === phone && x.purpose === purpose));
+  }
+
+  function issue(phone, { purpose = 'login' } = {}) {
+    const now = Date.now();
+    const prev = find(phone, purpose);
+    if (prev && now - prev.sentAt < cooldownMs) {
+      return { ok: false, retryAfterMs: prev.sentAt + cooldownMs - now };
+    }
+    discard(phone, { purpose });
+    const code = makeCode();
+    list().push({ phone, purpose, codeHash: hash(phone, purpose, code), expMs: now + ttlMs, attempts: 0, sentAt: now });
+    return { ok: true, code };
+  }
+
+  function verify(phone, code, { purpose = 'login' } = {}) {
+    const entry = find(phone, purpose);
+    if (!entry) return { ok: false, reason: 'missing' };
+    if (Date.now() >= entry.expMs) {
+      discard(phone, { purpose });
+      return { ok: false, reason: 'expired' };
+    }
+    const a = Buffer.from(entry.codeHash, 'hex');
+    const b = Buffer.from(hash(phone, purpose, String(code ?? '').trim()), 'hex');
+    if (crypto.timingSafeEqual(a, b)) {
+      discard(phone, { purpose });
+      return { ok: true };
+    }
+    if (++entry.attempts >= maxAttempts) discard(phone, { purpose });
+    return { ok: false, reason: 'bad' };
+  }
+
+  function sweep() {
+    const now = Date.now();
+    const before = list().length;
+    db.data.otps = list().filter(x => x.expMs > now);
+    return before - db.data.otps.length;
+  }
+
+  return { issue, verify, discard, sweep };
+}
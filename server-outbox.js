@@ -0,0 +1,307 @@
+// server-outbox.js
+// Persisted notification queue. Request handlers enqueue one job per recipient
+// and channel and return; a background worker sends them with exponential
+// backoff, and delivery reports (Twilio status callbacks, Expo receipts) are
+// recorded on the job.
+//
+//   db.data.outboxBatches  { id, kind, label, ref?: { type, id }, createdAt }   one per announcement
+//   db.data.outbox         { id, batchId, channel:'sms'|'push', memberId, to, title?, body, data?, silent?,
+//                            status, attempts, maxAttempts, nextAttemptAt, expiresAt?, providerIds,
+//                            receipts?, lastError?, createdAt, sentAt?, deliveredAt?, failedAt? }
+// status: queued -> sending -> sent -> delivered | failed, or cancelled.
+// Jobs marked `sensitive` (login codes) have their body blanked once they leave the queue.
+//
+// Senders: { sms(job), push(job) } -> { providerIds: string[] }; throw to retry,
+// or throw an error with `permanent: true` to fail the job outright.
+
+import { nanoid } from 'nanoid';
+
+const SECOND = 1000;
+const DAY = 24 * 60 * 60 * SECOND;
+
+export const JOB_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'failed', 'cancelled'];
+
+/**
+ * Error a sender throws when retrying can't help (bad number, unsubscribed...).
+ */
+export function permanentError(message) {
+  const e = new Error(message);
+  e.permanent = true;
+  return e;
+}
+
+/**
+ * @param {{
+ *   db: any,
+ *   senders: { sms: (job:any)=>Promise<{ providerIds: string[] }>, push: (job:any)=>Promise<{ providerIds: string[] }> },
+ *   maxAttempts?: number,
+ *   baseDelayMs?: number,   // first retry after this, doubling each time
+ *   intervalMs?: number,    // worker tick; 0 = only when kicked or via runDue()
+ *   batchSize?: number,     // jobs per worker pass
+ *   retentionMs?: number,   // finished jobs and batches older than this are dropped
+ * }} opts
+ */
+export function createOutbox({
+  db, senders,
+  maxAttempts = 5, baseDelayMs = 30 * SECOND, intervalMs = 5 * SECOND, batchSize = 25, retentionMs = 30 * DAY,
+}) {
+  const jobs = () => (db.data.outbox ||= []);
+  const batches = () => (db.data.outboxBatches ||= []);
+  let timer = null;
+  let daily = null;
+  let running = null;
+  let kicked = false;
+
+  const backoff = (attempts) => Math.round(baseDelayMs * 2 ** (attempts - 1) * (0.8 + Math.random() * 0.4));
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, { status, ...fields });
+    if (job.sensitive && job.body) { job.body = ''; job.redacted = true; }
+  }
+
+  /**
+   * Start a batch (one announcement, reminder, login code...). Caller persists.
+   * @param {{ kind: string, label: string, ref?: { type: string, id: string } }} info
+   */
+  function newBatch({ kind, label, ref = null }) {
+    const batch = { id: nanoid(), kind, label: String(label || kind), ref, createdAt: Date.now() };
+    batches().push(batch);
+    return batch;
+  }
+
+  /**
+   * Queue one message. Caller persists, then kick()s the worker.
+   * @param {string} batchId
+   * @param {{ channel: 'sms'|'push', memberId?: string, to: string|string[], title?: string, body: string,
+   *           data?: object, silent?: boolean, notBefore?: number, expiresAt?: number, sensitive?: boolean,
+   *           maxAttempts?: number }} msg
+   */
+  function enqueue(batchId, msg) {
+    const now = Date.now();
+    const job = {
+      id: nanoid(),
+      batchId,
+      channel: msg.channel,
+      memberId: msg.memberId || null,
+      to: msg.to,
+      ...(msg.title ? { title: msg.title } : {}),
+      body: msg.body,
+      ...(msg.data ? { data: msg.data } : {}),
+      ...(msg.silent ? { silent: true } : {}),
+      ...(msg.sensitive ? { sensitive: true } : {}),
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: msg.maxAttempts || maxAttempts,
+      nextAttemptAt: Math.max(now, msg.notBefore || 0),
+      ...(msg.expiresAt ? { expiresAt: msg.expiresAt } : {}),
+      providerIds: [],
+      createdAt: now,
+    };
+    jobs().push(job);
+    return job;
+  }
+
+  // Send claimed jobs and write back the outcome (the DB may have moved on meanwhile)
+  async function deliver(claimed) {
+    const outcomes = new Map();
+    for (const job of claimed) {
+      try {
+        const r = await senders[job.channel](job);
+        outcomes.set(job.id, { ok: true, providerIds: r?.providerIds || [] });
+      } catch (e) {
+        outcomes.set(job.id, { ok: false, error: String(e?.message || e).slice(0, 300), permanent: !!e?.permanent });
+      }
+    }
+
+    await db.read();
+    const now = Date.now();
+    const result = { sent: 0, failed: 0, retrying: 0 };
+    for (const job of jobs()) {
+      const o = outcomes.get(job.id);
+      if (!o || job.status !== 'sending') continue;
+      job.attempts++;
+      if (o.ok) {
+        finish(job, 'sent', { sentAt: now, providerIds: [...job.providerIds, ...o.providerIds], lastError: undefined });
+        result.sent++;
+      } else if (o.permanent || job.attempts >= job.maxAttempts || (job.expiresAt && now + backoff(job.attempts) > job.expiresAt)) {
+        finish(job, 'failed', { failedAt: now, lastError: o.error });
+        result.failed++;
+      } else {
+        Object.assign(job, { status: 'queued', lastError: o.error, nextAttemptAt: now + backoff(job.attempts) });
+        result.retrying++;
+      }
+    }
+    await db.write();
+    return result;
+  }
+
+  // Mark due (or the given) jobs as sending so no other pass picks them up
+  async function claim(ids) {
+    await db.read();
+    const now = Date.now();
+    const picked = [];
+    for (const job of jobs()) {
+      if (job.status !== 'queued') continue;
+      if (ids ? !ids.includes(job.id) : job.nextAttemptAt > now) continue;
+      if (job.expiresAt && job.expiresAt <= now) {
+        finish(job, 'failed', { failedAt: now, lastError: 'expired before it could be sent' });
+        continue;
+      }
+      job.status = 'sending';
+      job.claimedAt = now;
+      picked.push({ ...job });
+      if (!ids && picked.length >= batchSize) break;
+    }
+    await db.write();
+    return picked;
+  }
+
+  async function pass() {
+    const claimed = await claim(null);
+    if (!claimed.length) return { sent: 0, failed: 0, retrying: 0 };
+    const result = await deliver(claimed);
+    if (claimed.length >= batchSize) kick(); // more waiting
+    return result;
+  }
+
+  // Overlapping callers (timer, kick, cron) share the in-flight pass
+  function runDue() {
+    running ||= pass().finally(() => { running = null; });
+    return running;
+  }
+
+  /**
+   * Run a pass soon (after the current request has finished its own writes).
+   */
+  function kick() {
+    if (kicked) return;
+    kicked = true;
+    setImmediate(async () => {
+      kicked = false;
+      if (running) await running.catch(() => {});
+      runDue().catch(e => console.error('Outbox pass failed', e));
+    });
+  }
+
+  /**
+   * Send specific jobs right away (login codes), regardless of their schedule.
+   * @returns {Promise<any[]>} the jobs after the attempt
+   */
+  async function sendNow(ids) {
+    if (running) await running.catch(() => {});
+    const claimed = await claim(ids);
+    if (claimed.length) await deliver(claimed);
+    return jobs().filter(j => ids.includes(j.id));
+  }
+
+  function cancel(jobId) {
+    const job = jobs().find(j => j.id === jobId);
+    if (job && (job.status === 'queued' || job.status === 'failed')) finish(job, 'cancelled');
+    return job || null;
+  }
+
+  /**
+   * Record a provider delivery report (Twilio status callback). Caller persists.
+   * @param {string} providerId  Twilio MessageSid
+   * @param {{ delivered: boolean, error?: string }} report
+   */
+  function recordStatus(providerId, { delivered, error }) {
+    const job = jobs().find(j => j.providerIds.includes(providerId));
+    if (!job || job.status === 'cancelled') return null;
+    if (delivered) {
+      finish(job, 'delivered', { deliveredAt: Date.now() });
+    } else {
+      finish(job, 'failed', { failedAt: Date.now(), lastError: error || 'undelivered' });
+    }
+    return job;
+  }
+
+  /**
+   * Record an Expo push receipt for one ticket. A push job (one per member,
+   * possibly several devices) counts as delivered once any device accepted it.
+   * Caller persists.
+   */
+  function recordReceipt(providerId, { ok, error }) {
+    const job = jobs().find(j => j.providerIds.includes(providerId));
+    if (!job) return null;
+    job.receipts ||= { ok: 0, error: 0 };
+    job.receipts[ok ? 'ok' : 'error']++;
+    if (ok && job.status === 'sent') finish(job, 'delivered', { deliveredAt: Date.now() });
+    if (!ok && job.status === 'sent' && job.receipts.error >= job.providerIds.length) {
+      finish(job, 'failed', { failedAt: Date.now(), lastError: error || 'push receipt error' });
+    }
+    return job;
+  }
+
+  function counts(list) {
+    const out = {};
+    for (const j of list) {
+      out[j.channel] ||= Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+      out[j.channel][j.status]++;
+    }
+    return out;
+  }
+
+  /**
+   * Batches newest first with per-channel status counts.
+   * @param {{ kind?: string, limit?: number, cursor?: string }} q cursor = last batch id of the previous page
+   */
+  function listBatches({ kind, limit = 25, cursor } = {}) {
+    let list = batches().slice().reverse();
+    if (cursor) {
+      const i = list.findIndex(b => b.id === cursor);
+      list = i >= 0 ? list.slice(i + 1) : [];
+    }
+    if (kind) list = list.filter(b => b.kind === kind || (kind.endsWith('.') && b.kind.startsWith(kind)));
+    const size = Math.min(Math.max(Number(limit) || 25, 1), 100);
+    const page = list.slice(0, size);
+    const byBatch = new Map(page.map(b => [b.id, []]));
+    for (const j of jobs()) byBatch.get(j.batchId)?.push(j);
+    return {
+      batches: page.map(b => ({ ...b, total: byBatch.get(b.id).length, counts: counts(byBatch.get(b.id)) })),
+      nextCursor: list.length > size ? page[page.length - 1].id : null,
+    };
+  }
+
+  function batchJobs(batchId) {
+    const batch = batches().find(b => b.id === batchId);
+    if (!batch) return null;
+    const list = jobs().filter(j => j.batchId === batchId);
+    return { batch: { ...batch, total: list.length, counts: counts(list) }, jobs: list };
+  }
+
+  // Drop finished work past retention; requeue jobs a crash left in 'sending'
+  function maintain() {
+    const now = Date.now();
+    const done = (j) => !['queued', 'sending'].includes(j.status);
+    db.data.outbox = jobs().filter(j => !(done(j) && now - j.createdAt > retentionMs));
+    const live = new Set(jobs().map(j => j.batchId));
+    db.data.outboxBatches = batches().filter(b => live.has(b.id) || now - b.createdAt <= retentionMs);
+    for (const j of jobs()) {
+      if (j.status === 'sending' && now - (j.claimedAt || 0) > 10 * 60 * SECOND) j.status = 'queued';
+    }
+  }
+
+  return {
+    newBatch, enqueue, runDue, kick, sendNow, cancel,
+    recordStatus, recordReceipt, listBatches, batchJobs, maintain,
+    async start() {
+      await db.read();
+      maintain();
+      await db.write();
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => runDue().catch(e => console.error('Outbox pass failed', e)), intervalMs);
+      timer.unref?.();
+      daily = setInterval(() => {
+        db.read().then(() => { maintain(); return db.write(); }).catch(e => console.error('Outbox cleanup failed', e));
+      }, DAY);
+      daily.unref?.();
+      kick();
+    },
+    stop() {
+      clearInterval(timer);
+      clearInterval(daily);
+      timer = daily = null;
+    },
+  };
+}
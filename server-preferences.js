@@ -0,0 +1,148 @@
+// server-preferences.js
+// Per-member notification preferences, stored on the member record:
+//   member.preferences = {
+//     channels:   { <type>: { sms?: boolean, push?: boolean } },   // only overrides; see DEFAULTS
+//     quietHours: { start: 'HH:MM', end: 'HH:MM', tz: 'America/New_York' } | null,
+//   }
+//   member.smsOptOut = { at, via: 'keyword'|'app' } | absent
+// During quiet hours SMS waits in the outbox until they end (quietUntil) and
+// push arrives without sound.
+// An SMS opt-out (STOP) beats every preference; only START by text undoes it.
+
+export const NOTIFICATION_TYPES = {
+  meetings:  'New, changed and cancelled meetings',
+  reminders: 'Meeting reminders',
+  waitlist:  'Waitlist spot opened up',
+  chat:      'Chat room messages',
+  mentions:  'Direct messages and @mentions',
+  announcements: 'Club announcements',
+};
+
+// Channels each type can use, and whether they're on by default
+export const DEFAULTS = {
+  meetings:  { sms: true, push: true },
+  reminders: { sms: true, push: true },
+  waitlist:  { sms: true, push: true },
+  chat:      { push: true },
+  mentions:  { push: true },
+  announcements: { sms: true, push: true },
+};
+
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function validTz(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+/**
+ * A member's effective preferences (defaults filled in).
+ */
+export function preferencesOf(member) {
+  const saved = member?.preferences || {};
+  const channels = {};
+  for (const [type, defaults] of Object.entries(DEFAULTS)) {
+    channels[type] = { ...defaults };
+    for (const ch of Object.keys(defaults)) {
+      if (typeof saved.channels?.[type]?.[ch] === 'boolean') channels[type][ch] = saved.channels[type][ch];
+    }
+  }
+  return { channels, quietHours: saved.quietHours || null };
+}
+
+/**
+ * Validate a preferences update and merge it onto what's saved.
+ * @returns {{ ok: true, preferences: any } | { ok: false, error: string }}
+ */
+export function mergePreferences(member, input = {}, defaultTz = 'UTC') {
+  const next = { channels: { ...(member?.preferences?.channels || {}) }, quietHours: member?.preferences?.quietHours || null };
+
+  if (input.channels !== undefined) {
+    if (typeof input.channels !== 'object' || !input.channels) return { ok: false, error: 'channels must be an object' };
+    for (const [type, chans] of Object.entries(input.channels)) {
+      if (!DEFAULTS[type]) return { ok: false, error: `unknown notification type: ${type}` };
+      const merged = { ...(next.channels[type] || {}) };
+      for (const [ch, on] of Object.entries(chans || {})) {
+        if (!(ch in DEFAULTS[type])) return { ok: false, error: `${type} can't be sent by ${ch}` };
+        if (typeof on !== 'boolean') return { ok: false, error: `${type}.${ch} must be true or false` };
+        merged[ch] = on;
+      }
+      next.channels[type] = merged;
+    }
+  }
+
+  if (input.quietHours !== undefined) {
+    const q = input.quietHours;
+    if (q === null) {
+      next.quietHours = null;
+    } else {
+      if (!HHMM.test(q?.start || '') || !HHMM.test(q?.end || '')) return { ok: false, error: 'quietHours start/end must be HH:MM' };
+      if (q.start === q.end) return { ok: false, error: 'quietHours start and end must differ' };
+      const tz = q.tz || defaultTz;
+      if (!validTz(tz)) return { ok: false, error: 'unknown time zone' };
+      next.quietHours = { start: q.start, end: q.end, tz };
+    }
+  }
+  return { ok: true, preferences: next };
+}
+
+// Minutes since midnight in the member's quiet-hours time zone
+function localMinutes(tz, now) {
+  const hhmm = new Intl.DateTimeFormat('en-GB', { timeZone: tz, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(now);
+  return toMinutes(hhmm);
+}
+const toMinutes = (s) => Number(s.slice(0, 2)) * 60 + Number(s.slice(3, 5));
+
+/**
+ * Is it quiet hours for this member right now? Windows may wrap midnight (22:00–07:00).
+ */
+export function inQuietHours(member, now = Date.now()) {
+  const q = member?.preferences?.quietHours;
+  if (!q) return false;
+  const t = localMinutes(q.tz, now), a = toMinutes(q.start), b = toMinutes(q.end);
+  return a < b ? t >= a && t < b : t >= a || t < b;
+}
+
+/**
+ * When the member's current quiet hours end (ms), or 0 if it isn't quiet hours.
+ */
+export function quietUntil(member, now = Date.now()) {
+  if (!inQuietHours(member, now)) return 0;
+  const q = member.preferences.quietHours;
+  const left = (toMinutes(q.end) - localMinutes(q.tz, now) + 1440) % 1440;
+  return now - (now % 60000) + left * 60000;
+}
+
+/**
+ * Should this member get SMS of this type at all? (Quiet hours delay, not block; see quietUntil.)
+ */
+export function wantsSms(member, type) {
+  if (!member?.phone || member.smsOptOut) return false;
+  return !!preferencesOf(member).channels[type]?.sms;
+}
+
+/**
+ * How to push this type to the member now: 'off', 'silent' (quiet hours) or 'normal'.
+ */
+export function pushMode(member, type, now = Date.now()) {
+  if (!member?.expoTokens?.length) return 'off';
+  if (!preferencesOf(member).channels[type]?.push) return 'off';
+  return inQuietHours(member, now) ? 'silent' : 'normal';
+}
+
+// Carrier-standard keywords (case-insensitive, whole message)
+export const STOP_WORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT'];
+export const START_WORDS = ['START', 'YES', 'UNSTOP', 'OPTIN'];
+export const HELP_WORDS = ['HELP', 'INFO'];
+
+/**
+ * Classify an inbound SMS body.
+ * @returns {'stop'|'start'|'help'|null}
+ */
+export function smsKeyword(body) {
+  const word = String(body || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (STOP_WORDS.includes(word)) return 'stop';
+  if (START_WORDS.includes(word)) return 'start';
+  if (HELP_WORDS.includes(word)) return 'help';
+  return null;
+}
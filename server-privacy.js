@@ -0,0 +1,126 @@
+// server-privacy.js
+// A member's own data: everything held about them as one JSON document
+// (GET /me/export), and erasing it (DELETE /me, DELETE /members/:id).
+//
+// Erasing removes the member record, avatar, sessions, email/SMS tokens, read
+// markers, sanctions, RSVPs and queued notifications. Their channel messages
+// become tombstones (text blanked, attributed to ERASED_ID / ERASED_NAME) so
+// replies around them keep their place; their DM rooms, whose ids and member
+// lists name them, are deleted with every message, read marker and report in
+// them. Their id is dropped from reactions, mentions and private channel
+// lists. Audit entries about them keep the action but lose the names and
+// snapshots (see redactMember in server-audit.js).
+
+import { removeRsvp } from './server-rsvp.js';
+import { profileOf } from './server-profiles.js';
+
+export const ERASED_ID = 'erased';
+export const ERASED_NAME = 'Deleted member';
+
+// Never exported: credentials and bearer-style secrets
+const SECRET_FIELDS = ['passwordHash', 'feedToken'];
+
+/**
+ * @param {{
+ *   db: any,
+ *   sessions: ReturnType<typeof import('./server-sessions.js').createSessions>,
+ *   avatars: ReturnType<typeof import('./server-profiles.js').createAvatarStore>,
+ *   audit: ReturnType<typeof import('./server-audit.js').createAuditLog>,
+ * }} opts
+ */
+export function createPrivacy({ db, sessions, avatars, audit }) {
+  const roomName = (roomId) => {
+    const room = (db.data.rooms || []).find(r => r.id === roomId);
+    return room?.kind === 'dm' ? 'direct message' : room?.name || roomId;
+  };
+
+  /**
+   * Everything the club holds about `member`, for them to download.
+   */
+  function exportData(member) {
+    const record = { ...member };
+    for (const f of SECRET_FIELDS) delete record[f];
+    const id = member.id;
+    return {
+      exportedAt: new Date().toISOString(),
+      member: record,
+      profile: profileOf(member),
+      messages: (db.data.chat || [])
+        .filter(msg => msg.memberId === id && !msg.deletedAt)
+        .map(({ id: messageId, roomId, text, ts, editedAt, replyTo }) => ({
+          id: messageId, roomId, room: roomName(roomId), text, ts,
+          ...(editedAt ? { editedAt } : {}), ...(replyTo ? { replyTo } : {}),
+        })),
+      rsvps: (db.data.meetings || []).flatMap(meet => (meet.rsvps || [])
+        .filter(r => r.memberId === id)
+        .map(r => ({ meetingId: meet.id, title: meet.title, startsAt: meet.startsAt, status: r.status, at: r.at }))),
+      sessions: (db.data.sessions || []).filter(s => s.memberId === id).map(s => sessions.view(s)),
+      sanctions: (db.data.chatSanctions || []).filter(s => s.memberId === id),
+      reportsFiled: (db.data.chatReports || [])
+        .filter(r => r.reporterId === id)
+        .map(({ id: reportId, messageId, roomId, reason, status, createdAt }) => ({ id: reportId, messageId, roomId, reason, status, createdAt })),
+    };
+  }
+
+  /**
+   * Erase `member` as described above. Caller persists, then disconnects
+   * `sessionIds` and notifies `promoted` (waitlisted members who got the spot).
+   * @returns {{ sessionIds: string[], promoted: Array<{ meeting: any, memberIds: string[] }> }}
+   */
+  function erase(member) {
+    const id = member.id;
+    const now = Date.now();
+    const scrub = (ids) => (Array.isArray(ids) ? ids.filter(x => x !== id) : ids);
+
+    const dms = new Set((db.data.rooms || []).filter(r => r.kind === 'dm' && r.members.includes(id)).map(r => r.id));
+    const inDm = (x) => dms.has(x.roomId);
+    db.data.rooms = (db.data.rooms || []).filter(r => !dms.has(r.id));
+    db.data.chat = (db.data.chat || []).filter(msg => !inDm(msg));
+    db.data.chatReads = (db.data.chatReads || []).filter(x => !inDm(x));
+    db.data.chatReports = (db.data.chatReports || []).filter(x => !inDm(x));
+
+    for (const msg of db.data.chat) {
+      if (msg.memberId === id) {
+        Object.assign(msg, { memberId: ERASED_ID, name: ERASED_NAME, text: '' });
+        if (!msg.deletedAt) Object.assign(msg, { deletedAt: now, deletedBy: ERASED_ID });
+        delete msg.mentions;
+      }
+      if (msg.pinnedBy === id) msg.pinnedBy = ERASED_ID;
+      if (msg.deletedBy === id) msg.deletedBy = ERASED_ID;
+      if (msg.mentions) msg.mentions = scrub(msg.mentions);
+      for (const [emoji, who] of Object.entries(msg.reactions || {})) {
+        msg.reactions[emoji] = scrub(who);
+        if (!msg.reactions[emoji].length) delete msg.reactions[emoji];
+      }
+    }
+    for (const room of db.data.rooms) {
+      if (room.kind === 'channel' && room.members) room.members = scrub(room.members);
+    }
+    for (const report of db.data.chatReports) {
+      if (report.reporterId === id) report.reporterId = ERASED_ID;
+      if (report.message?.memberId === id) Object.assign(report.message, { memberId: ERASED_ID, name: ERASED_NAME, text: '' });
+    }
+
+    const promoted = [];
+    for (const meeting of db.data.meetings || []) {
+      const memberIds = removeRsvp(meeting, id);
+      if (memberIds.length) promoted.push({ meeting, memberIds });
+    }
+
+    const sessionIds = sessions.revokeAll(id);
+    const notMine = (x) => x.memberId !== id;
+    db.data.sessions = (db.data.sessions || []).filter(notMine);
+    db.data.authTokens = (db.data.authTokens || []).filter(notMine);
+    db.data.chatReads = (db.data.chatReads || []).filter(notMine);
+    db.data.chatSanctions = (db.data.chatSanctions || []).filter(notMine);
+    db.data.outbox = (db.data.outbox || []).filter(notMine);
+    if (member.phone) db.data.otps = (db.data.otps || []).filter(o => o.phone !== member.phone);
+
+    audit.redactMember(id, ERASED_NAME);
+    avatars.remove(member);
+    db.data.members = db.data.members.filter(m => m.id !== id);
+    return { sessionIds, promoted };
+  }
+
+  return { exportData, erase };
+}
@@ -0,0 +1,157 @@
+// server-profiles.js
+// Member profiles and the member directory. Stored on the member record:
+//   member.profile = {
+//     bio:     string,
+//     pets:    [{ name, breed }],
+//     avatar:  { file, type, updatedAt } | null,          // file lives in <DATA_DIR>/avatars
+//     privacy: { phone: 'members'|'private', email: 'members'|'private', listed: boolean },
+//   }
+// `name` stays top-level (chat, audit and notifications use it). Phone and email
+// are login identifiers, so they're not edited here; privacy only decides whether
+// other members see them in the directory. Staff see everything via /members.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { nanoid } from 'nanoid';
+
+export const VISIBILITY = ['members', 'private'];
+
+export const DEFAULT_PRIVACY = { phone: 'private', email: 'private', listed: true };
+
+const MAX_BIO = 500;
+const MAX_PETS = 10;
+
+// Accepted avatar types, checked against the file's magic bytes as well as Content-Type
+const IMAGE_TYPES = {
+  'image/png':  { ext: 'png',  magic: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { ext: 'jpg',  magic: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/webp': { ext: 'webp', magic: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+  'image/gif':  { ext: 'gif',  magic: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+};
+export const AVATAR_TYPES = Object.keys(IMAGE_TYPES);
+
+/**
+ * A member's profile with defaults filled in. `avatarUrl` is relative to the server.
+ */
+export function profileOf(member) {
+  const p = member?.profile || {};
+  return {
+    bio: p.bio || '',
+    pets: p.pets || [],
+    avatarUrl: p.avatar ? `/avatars/${p.avatar.file}` : null,
+    privacy: { ...DEFAULT_PRIVACY, ...(p.privacy || {}) },
+  };
+}
+
+const text = (v, max) => String(v ?? '').trim().slice(0, max);
+
+/**
+ * Validate a PATCH /me body. Returns the member fields to set (`name`, `profile`).
+ * @returns {{ ok: true, changes: { name?: string, profile: any } } | { ok: false, error: string }}
+ */
+export function mergeProfile(member, input = {}) {
+  const profile = { ...(member?.profile || {}) };
+  const changes = {};
+
+  if (input.name !== undefined) {
+    const name = text(input.name, 80);
+    if (!name) return { ok: false, error: 'name cannot be empty' };
+    changes.name = name;
+  }
+  if (input.bio !== undefined) {
+    if (String(input.bio ?? '').trim().length > MAX_BIO) return { ok: false, error: `bio too long (max ${MAX_BIO})` };
+    profile.bio = text(input.bio, MAX_BIO);
+  }
+  if (input.pets !== undefined) {
+    if (!Array.isArray(input.pets)) return { ok: false, error: 'pets must be a list' };
+    if (input.pets.length > MAX_PETS) return { ok: false, error: `at most ${MAX_PETS} pets` };
+    const pets = [];
+    for (const pet of input.pets) {
+      const name = text(pet?.name, 40);
+      if (!name) return { ok: false, error: 'every pet needs a name' };
+      pets.push({ name, breed: text(pet?.breed, 60) });
+    }
+    profile.pets = pets;
+  }
+  if (input.privacy !== undefined) {
+    const q = input.privacy || {};
+    const privacy = { ...DEFAULT_PRIVACY, ...(profile.privacy || {}) };
+    for (const field of ['phone', 'email']) {
+      if (q[field] === undefined) continue;
+      if (!VISIBILITY.includes(q[field])) return { ok: false, error: `privacy.${field} must be one of: ${VISIBILITY.join(', ')}` };
+      privacy[field] = q[field];
+    }
+    if (q.listed !== undefined) {
+      if (typeof q.listed !== 'boolean') return { ok: false, error: 'privacy.listed must be true or false' };
+      privacy.listed = q.listed;
+    }
+    profile.privacy = privacy;
+  }
+  changes.profile = profile;
+  return { ok: true, changes };
+}
+
+/**
+ * What other members see in the directory.
+ */
+export function directoryEntry(member) {
+  const { bio, pets, avatarUrl, privacy } = profileOf(member);
+  return {
+    id: member.id,
+    name: member.name || 'Member',
+    bio, pets, avatarUrl,
+    ...(privacy.phone === 'members' && member.phone ? { phone: member.phone } : {}),
+    ...(privacy.email === 'members' && member.email ? { email: member.email } : {}),
+  };
+}
+
+/**
+ * Approved, listed members matching `q` (name, pet name or breed), sorted by name.
+ */
+export function searchDirectory(members, q = '') {
+  const needle = String(q).trim().toLowerCase();
+  return members
+    .filter(m => m.status === 'approved' && profileOf(m).privacy.listed)
+    .filter(m => !needle || [m.name, ...(m.profile?.pets || []).flatMap(p => [p.name, p.breed])]
+      .some(v => (v || '').toLowerCase().includes(needle)))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .map(directoryEntry);
+}
+
+/**
+ * Avatar files on disk. Each upload gets a fresh random file name, so URLs are
+ * unguessable and can be cached forever.
+ * @param {{ dir: string, maxBytes?: number }} opts
+ */
+export function createAvatarStore({ dir, maxBytes = 2 * 1024 * 1024 }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function remove(member) {
+    const file = member?.profile?.avatar?.file;
+    if (file) fs.promises.unlink(path.join(dir, path.basename(file))).catch(() => {});
+    if (member?.profile) member.profile.avatar = null;
+  }
+
+  /**
+   * Store an uploaded image and point the member at it (old file removed). Caller persists.
+   * @param {any} member
+   * @param {Buffer} data
+   * @param {string} type Content-Type of the upload
+   */
+  async function save(member, data, type) {
+    const kind = IMAGE_TYPES[String(type || '').split(';')[0].trim().toLowerCase()];
+    if (!kind) return { ok: false, status: 415, error: `avatar must be one of: ${AVATAR_TYPES.join(', ')}` };
+    if (!Buffer.isBuffer(data) || !data.length) return { ok: false, status: 400, error: 'image required' };
+    if (data.length > maxBytes) return { ok: false, status: 413, error: `avatar too large (max ${Math.round(maxBytes / 1024)} KB)` };
+    if (!kind.magic(data)) return { ok: false, status: 400, error: 'file is not a valid image' };
+
+    const file = `${member.id}-${nanoid(10)}.${kind.ext}`;
+    await fs.promises.writeFile(path.join(dir, file), data);
+    remove(member);
+    member.profile ||= {};
+    member.profile.avatar = { file, type: type.split(';')[0].trim().toLowerCase(), updatedAt: Date.now() };
+    return { ok: true, avatarUrl: `/avatars/${file}` };
+  }
+
+  return { dir, maxBytes, save, remove };
+}
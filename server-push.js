@@ -0,0 +1,157 @@
+// server-push.js
+// Expo push delivery plus receipt handling. Tickets that come back with an id
+// are kept in db.data.pushTickets until Expo has a receipt for them (usually
+// within 15 minutes); tokens Expo reports as DeviceNotRegistered — on the ticket
+// or the receipt — are removed from every member's expoTokens. Tickets sent for
+// an outbox job carry its id, and each receipt is reported through `onReceipt`.
+
+import { Expo } from 'expo-server-sdk';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * @param {{
+ *   db: any,
+ *   expo: Expo,
+ *   receiptDelayMs?: number,   // how long to wait before asking for receipts
+ *   ticketTtlMs?: number,      // give up on receipts after this (Expo keeps them ~24h)
+ *   onReceipt?: (ticketId: string, r: { ok: boolean, error?: string }) => void,  // mutate db.data only
+ * }} opts
+ */
+export function createPush({ db, expo, receiptDelayMs = 15 * MINUTE, ticketTtlMs = 24 * 60 * MINUTE, onReceipt }) {
+  const tickets = () => (db.data.pushTickets ||= []);
+  let timer = null;
+  let running = null;
+
+  // Remove dead tokens from members. Caller persists.
+  function pruneTokens(dead) {
+    if (!dead.size) return 0;
+    let removed = 0;
+    for (const m of db.data.members || []) {
+      if (!m.expoTokens?.length) continue;
+      const keep = m.expoTokens.filter(t => !dead.has(t));
+      removed += m.expoTokens.length - keep.length;
+      m.expoTokens = keep;
+    }
+    if (removed) console.log(`push: pruned ${removed} unregistered token(s)`);
+    return removed;
+  }
+
+  /**
+   * Push one notification to a list of device tokens. Throws if Expo can't be
+   * reached at all, so callers (the outbox) can retry.
+   * @param {string[]} tokens
+   * @param {{ title: string, body: string, data?: object, silent?: boolean }} note silent = no sound
+   * @param {{ jobId?: string }} [meta]
+   * @returns {Promise<{ ids: string[], errors: { token: string, error: string }[] }>}
+   */
+  async function deliver(tokens, { title, body, data, silent = false }, { jobId } = {}) {
+    const messages = tokens.filter(t => Expo.isExpoPushToken(t))
+      .map(to => ({ to, ...(silent ? {} : { sound: 'default' }), title, body, ...(data ? { data } : {}) }));
+    const ids = [];
+    const errors = [];
+    const issued = [];
+    const dead = new Set();
+    const now = Date.now();
+    for (const chunk of expo.chunkPushNotifications(messages)) {
+      const result = await expo.sendPushNotificationsAsync(chunk);
+      result.forEach((ticket, i) => {
+        const token = chunk[i].to;
+        if (ticket.status === 'ok') {
+          if (ticket.id) {
+            ids.push(ticket.id);
+            issued.push({ id: ticket.id, token, sentAt: now, ...(jobId ? { jobId } : {}) });
+          }
+        } else {
+          const error = ticket.details?.error || ticket.message || 'error';
+          errors.push({ token, error });
+          if (error === 'DeviceNotRegistered') dead.add(token);
+        }
+      });
+    }
+    if (issued.length || dead.size) {
+      await db.read();
+      tickets().push(...issued);
+      pruneTokens(dead);
+      await db.write();
+    }
+    return { ids, errors };
+  }
+
+  /**
+   * Push to every device of the given members, best effort (chat).
+   * @param {any[]} members
+   * @param {{ title: string, body: string, data?: object, silent?: boolean }} note
+   * @returns {Promise<number>} notifications accepted by Expo
+   */
+  async function send(members, note) {
+    const tokens = members.flatMap(mem => mem.expoTokens || []);
+    if (!tokens.length) return 0;
+    try {
+      const { ids } = await deliver(tokens, note);
+      return ids.length;
+    } catch (e) {
+      console.error(e);
+      return 0;
+    }
+  }
+
+  /**
+   * Fetch receipts for tickets old enough to have one; prune dead tokens.
+   * Overlapping calls share one pass.
+   */
+  function checkReceipts() {
+    running ||= (async () => {
+      try {
+        await db.read();
+        const now = Date.now();
+        const due = tickets().filter(t => now - t.sentAt >= receiptDelayMs);
+        if (!due.length) return { checked: 0, pruned: 0 };
+
+        const byId = new Map(due.map(t => [t.id, { ...t }]));
+        const done = new Set();
+        const results = new Map();
+        const dead = new Set();
+        for (const ids of expo.chunkPushNotificationReceiptIds([...byId.keys()])) {
+          try {
+            const receipts = await expo.getPushNotificationReceiptsAsync(ids);
+            for (const [id, receipt] of Object.entries(receipts)) {
+              done.add(id);
+              results.set(id, receipt);
+              if (receipt.status === 'error') {
+                if (receipt.details?.error === 'DeviceNotRegistered') dead.add(byId.get(id).token);
+                else console.error('push receipt error', receipt.message);
+              }
+            }
+          } catch (e) { console.error(e); }
+        }
+        await db.read(); // others may have written while we waited on Expo
+        if (onReceipt) {
+          for (const [id, receipt] of results) {
+            onReceipt(id, { ok: receipt.status === 'ok', error: receipt.details?.error || receipt.message });
+          }
+        }
+        db.data.pushTickets = tickets().filter(t => !done.has(t.id) && now - t.sentAt < ticketTtlMs);
+        const pruned = pruneTokens(dead);
+        await db.write();
+        return { checked: done.size, pruned };
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  }
+
+  function start(intervalMs = receiptDelayMs) {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => checkReceipts().catch(e => console.error(e)), intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { deliver, send, checkReceipts, pruneTokens, start, stop };
+}
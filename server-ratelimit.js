@@ -0,0 +1,122 @@
+// server-ratelimit.js
+// Fixed-window rate limiting with optional lockout, kept in memory per process.
+// Used two ways:
+//   - request limits: hit(key) on every request, refuse once `max` is used up
+//   - failure limits: check(key) first, fail(key) on a bad attempt, reset(key) on success
+
+/**
+ * @param {{ max: number, windowMs: number, lockoutMs?: number }} opts
+ */
+export function createRateLimiter({ max, windowMs, lockoutMs = 0 }) {
+  const buckets = new Map(); // key -> { count, start, lockedUntil }
+
+  function bucket(key, now) {
+    let b = buckets.get(key);
+    if (!b || (now - b.start >= windowMs && !(b.lockedUntil > now))) {
+      b = { count: 0, start: now, lockedUntil: 0 };
+      buckets.set(key, b);
+    }
+    return b;
+  }
+
+  const retryAfter = (b, now) => Math.max(0, (b.lockedUntil > now ? b.lockedUntil : b.start + windowMs) - now);
+
+  /**
+   * Would another attempt be allowed? Does not count one.
+   * @returns {{ ok: boolean, retryAfterMs: number }}
+   */
+  function check(key) {
+    const now = Date.now();
+    const b = bucket(key, now);
+    if (b.lockedUntil > now || b.count >= max) return { ok: false, retryAfterMs: retryAfter(b, now) };
+    return { ok: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count an attempt if allowed. Using up the budget starts the lockout (if any).
+   */
+  function hit(key) {
+    const r = check(key);
+    if (!r.ok) return r;
+    const now = Date.now();
+    const b = bucket(key, now);
+    b.count++;
+    if (b.count >= max && lockoutMs) b.lockedUntil = now + lockoutMs;
+    return r;
+  }
+
+  function reset(key) {
+    buckets.delete(key);
+  }
+
+  // Forget expired buckets so the map doesn't grow forever
+  function sweep() {
+    const now = Date.now();
+    for (const [key, b] of buckets) {
+      if (now - b.start >= windowMs && !(b.lockedUntil > now)) buckets.delete(key);
+    }
+  }
+
+  return { check, hit, fail: hit, reset, sweep };
+}
+
+// name -> [max, windowSeconds, lockoutSeconds]
+export const DEFAULT_LIMITS = {
+  registerIp:      [10, 60 * 60, 0],         // signups per IP per hour
+  otpRequestIp:    [10, 15 * 60, 0],         // SMS codes requested per IP
+  otpRequestPhone: [3, 10 * 60, 30 * 60],    // SMS codes per phone, then 30 min lockout
+  otpVerifyIp:     [30, 15 * 60, 0],         // code guesses per IP
+  otpVerifyPhone:  [5, 10 * 60, 30 * 60],    // wrong codes per phone before lockout
+  loginIp:         [30, 15 * 60, 0],         // password logins per IP
+  loginEmail:      [5, 15 * 60, 15 * 60],    // wrong passwords per email before lockout
+  adminPinIp:      [5, 15 * 60, 60 * 60],    // wrong bootstrap PINs per IP before lockout
+  refreshIp:       [60, 15 * 60, 0],         // token refreshes per IP
+  emailSendIp:     [10, 60 * 60, 0],         // verification/reset emails requested per IP
+  emailSendAddress: [3, 60 * 60, 0],         // emails per address per hour
+  emailTokenIp:    [20, 15 * 60, 15 * 60],   // reset/verify tokens tried per IP
+};
+
+/**
+ * Build every named limiter, applying overrides from the environment:
+ *   RATE_LIMIT_OTP_REQUEST_PHONE=3/600/1800   (max / window seconds / lockout seconds)
+ * @param {Record<string, string|undefined>} env
+ * @returns {Record<keyof typeof DEFAULT_LIMITS, ReturnType<typeof createRateLimiter>>}
+ */
+export function createRateLimits(env = process.env) {
+  const limits = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_LIMITS)) {
+    const envName = 'RATE_LIMIT_' + name.replace(/[A-Z]/g, c => '_' + c).toUpperCase();
+    const parts = env[envName] ? env[envName].split('/').map(Number) : [];
+    const [max, windowSec, lockoutSec] = defaults.map((d, i) => (Number.isFinite(parts[i]) && parts[i] >= 0 ? parts[i] : d));
+    limits[name] = createRateLimiter({ max, windowMs: windowSec * 1000, lockoutMs: lockoutSec * 1000 });
+  }
+  const timer = setInterval(() => Object.values(limits).forEach(l => l.sweep()), 10 * 60 * 1000);
+  timer.unref?.();
+  return limits;
+}
+
+/**
+ * Send the standard 429 for a refused limiter result.
+ */
+export function tooManyRequests(res, result) {
+  const secs = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+  res.set('Retry-After', String(secs));
+  return res.status(429).json({ ok:false, error:'too many attempts, try again later', retryAfter: secs });
+}
+
+/**
+ * Express middleware counting every request against `limiter`.
+ * @param {ReturnType<typeof createRateLimiter>} limiter
+ * @param {(req:any) => string} keyOf falsy key = not limited
+ */
+export function rateLimit(limiter, keyOf) {
+  const limited = (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) return next();
+    const r = limiter.hit(key);
+    if (!r.ok) return tooManyRequests(res, r);
+    next();
+  };
+  limited.rateLimited = true; // documented as a possible 429 (server-api.js)
+  return limited;
+}
@@ -0,0 +1,119 @@
+// server-recurrence.js
+// Recurring meeting series: rule validation and expansion into occurrences.
+//
+// Rules (all times in server-local time, like the rest of the meeting code):
+//   { freq: 'weekly',  interval?: 1 }                       -> same weekday every N weeks
+//   { freq: 'monthly', interval?: 1, nth: 1..5|-1, weekday: 0..6 } -> e.g. 2nd Tuesday, last Friday
+// Both accept an optional `count` (total occurrences) or `until` (ISO date).
+
+const MAX_OCCURRENCES = 500; // hard stop for runaway rules
+
+/**
+ * Validate + fill defaults for a recurrence rule.
+ * @param {any} input
+ * @param {string} startsAt first occurrence (anchor)
+ * @returns {{ ok: true, rule: any } | { ok: false, error: string }}
+ */
+export function normalizeRule(input, startsAt) {
+  const anchor = new Date(startsAt);
+  if (Number.isNaN(anchor.getTime())) return { ok: false, error: 'startsAt must be a valid date' };
+  if (!input || typeof input !== 'object') return { ok: false, error: 'recurrence must be an object' };
+
+  const freq = input.freq;
+  if (freq !== 'weekly' && freq !== 'monthly') return { ok: false, error: 'recurrence.freq must be weekly or monthly' };
+
+  const interval = input.interval == null ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return { ok: false, error: 'recurrence.interval must be 1-12' };
+  }
+
+  const rule = { freq, interval };
+
+  if (freq === 'monthly') {
+    const weekday = input.weekday == null ? anchor.getDay() : Number(input.weekday);
+    const nth = input.nth == null ? Math.ceil(anchor.getDate() / 7) : Number(input.nth);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { ok: false, error: 'recurrence.weekday must be 0 (Sun) - 6 (Sat)' };
+    }
+    if (!Number.isInteger(nth) || !(nth === -1 || (nth >= 1 && nth <= 5))) {
+      return { ok: false, error: 'recurrence.nth must be 1-5 or -1 (last)' };
+    }
+    rule.weekday = weekday;
+    rule.nth = nth;
+  }
+
+  if (input.count != null) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { ok: false, error: `recurrence.count must be 1-${MAX_OCCURRENCES}` };
+    }
+    rule.count = count;
+  }
+  if (input.until != null) {
+    const until = new Date(input.until);
+    if (Number.isNaN(until.getTime())) return { ok: false, error: 'recurrence.until must be a valid date' };
+    rule.until = until.toISOString();
+  }
+
+  return { ok: true, rule };
+}
+
+// nth (1-based, or -1 = last) given weekday in a month, at the anchor's time of day
+function nthWeekdayOfMonth(year, month, weekday, nth, anchor) {
+  const at = (day) => new Date(year, month, day,
+    anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), anchor.getMilliseconds());
+
+  if (nth === -1) {
+    const last = new Date(year, month + 1, 0).getDate();
+    const lastDow = new Date(year, month, last).getDay();
+    return at(last - ((lastDow - weekday + 7) % 7));
+  }
+  const firstDow = new Date(year, month, 1).getDay();
+  const day = 1 + ((weekday - firstDow + 7) % 7) + (nth - 1) * 7;
+  const d = at(day);
+  return d.getMonth() === month ? d : null; // e.g. no 5th Tuesday this month
+}
+
+/**
+ * Occurrence start times for a series, oldest first.
+ * `count` is always measured from the anchor, so windows are stable.
+ * @param {{ startsAt: string, recurrence: any }} series
+ * @param {{ from?: Date, to: Date }} range
+ * @returns {Date[]}
+ */
+export function expandRecurrence(series, { from = new Date(0), to }) {
+  const anchor = new Date(series.startsAt);
+  const rule = series.recurrence;
+  const until = rule.until ? new Date(rule.until) : null;
+  const out = [];
+
+  let emitted = 0;
+  for (let k = 0; emitted < MAX_OCCURRENCES; k++) {
+    let d;
+    if (rule.freq === 'weekly') {
+      d = new Date(anchor);
+      d.setDate(anchor.getDate() + 7 * rule.interval * k);
+    } else {
+      const m = anchor.getMonth() + rule.interval * k;
+      d = nthWeekdayOfMonth(anchor.getFullYear(), m, rule.weekday, rule.nth, anchor);
+      if (!d || d < anchor) continue;
+    }
+
+    if (d > to || (until && d > until)) break;
+    if (rule.count && emitted >= rule.count) break;
+    emitted++;
+    if (d >= from) out.push(d);
+  }
+  return out;
+}
+
+/**
+ * Human summary, used in SMS/push copy ("every week", "2nd Tuesday monthly").
+ */
+export function describeRule(rule) {
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  if (rule.freq === 'weekly') return rule.interval === 1 ? 'every week' : `every ${rule.interval} weeks`;
+  const nth = rule.nth === -1 ? 'last' : ['1st', '2nd', '3rd', '4th', '5th'][rule.nth - 1];
+  const every = rule.interval === 1 ? 'monthly' : `every ${rule.interval} months`;
+  return `${nth} ${days[rule.weekday]} ${every}`;
+}
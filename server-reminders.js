@@ -0,0 +1,113 @@
+// server-reminders.js
+// In-process reminder scheduler. Each meeting gets reminders at a set of
+// offsets (minutes before start); which ones went out is persisted on the
+// meeting as `remindersSent`, so restarts and missed ticks catch up without
+// sending anything twice.
+
+/**
+ * Offsets (minutes before start) a meeting should be reminded at, largest first.
+ * @param {any} meeting
+ * @param {number[]} defaults club-wide offsets (e.g. [1440] for 24h)
+ * @returns {number[]}
+ */
+export function reminderOffsets(meeting, defaults = [1440]) {
+  const list = Array.isArray(meeting.reminderOffsets) && meeting.reminderOffsets.length
+    ? meeting.reminderOffsets
+    : [...defaults, meeting.reminderMinutes || 60];
+  return [...new Set(list.map(Number).filter(n => Number.isFinite(n) && n > 0))].sort((a, b) => b - a);
+}
+
+/**
+ * Mark offsets whose time has already passed as sent, so a meeting created or
+ * moved to 3 hours from now doesn't immediately fire its 24h reminder.
+ */
+export function skipPastReminders(meeting, defaults, now = Date.now()) {
+  const start = new Date(meeting.startsAt).getTime();
+  const passed = reminderOffsets(meeting, defaults).filter(off => now >= start - off * 60 * 1000);
+  meeting.remindersSent = [...new Set([...(meeting.remindersSent || []), ...passed])];
+}
+
+/**
+ * The reminder to send now, if any. When several are overdue (server was down)
+ * only the closest one goes out and the stale ones are marked as skipped.
+ * @returns {{ offset: number, skipped: number[] } | null}
+ */
+export function dueReminder(meeting, defaults, now = Date.now()) {
+  if (meeting.cancelled) return null;
+  const start = new Date(meeting.startsAt).getTime();
+  if (!Number.isFinite(start) || now >= start) return null;
+
+  const sent = new Set(meeting.remindersSent || []);
+  const due = reminderOffsets(meeting, defaults)
+    .filter(off => !sent.has(off) && now >= start - off * 60 * 1000);
+  if (!due.length) return null;
+  const offset = due[due.length - 1];
+  return { offset, skipped: due.slice(0, -1) };
+}
+
+export function describeOffset(minutes) {
+  if (minutes % 1440 === 0) return minutes === 1440 ? '24h' : `${minutes / 1440} days`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes} min`;
+}
+
+/**
+ * @param {{
+ *   db: any,
+ *   send: (meeting:any, offset:number) => Promise<{ sms?: number, push?: number }>,
+ *   prepare?: () => any,          // runs before each pass (e.g. expand recurring series)
+ *   defaults?: number[],
+ *   intervalMs?: number,
+ * }} opts
+ */
+export function createReminderScheduler({ db, send, prepare, defaults = [1440], intervalMs = 60 * 1000 }) {
+  let timer = null;
+  let running = null;
+
+  async function pass() {
+    await db.read();
+    if (prepare && prepare()) await db.write();
+
+    const now = Date.now();
+    const result = { meetingsNotified: [], reminders: [], smsCount: 0, pushCount: 0 };
+    for (const meeting of db.data.meetings) {
+      const due = dueReminder(meeting, defaults, now);
+      if (!due) continue;
+
+      // Record first: a crash mid-send should lose a reminder, not repeat it
+      meeting.remindersSent = [...new Set([...(meeting.remindersSent || []), due.offset, ...due.skipped])];
+      await db.write();
+
+      try {
+        const sent = await send(meeting, due.offset);
+        result.smsCount += sent?.sms || 0;
+        result.pushCount += sent?.push || 0;
+      } catch (e) {
+        console.error('Reminder error', meeting.id, e?.message || e);
+      }
+      result.meetingsNotified.push(meeting.id);
+      result.reminders.push({ meetingId: meeting.id, offset: due.offset, skipped: due.skipped });
+    }
+    return result;
+  }
+
+  // Overlapping callers (timer + cron endpoint) share the in-flight pass
+  function runDue() {
+    running ||= pass().finally(() => { running = null; });
+    return running;
+  }
+
+  return {
+    runDue,
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(() => runDue().catch(e => console.error('Reminder pass failed', e)), intervalMs);
+      timer.unref?.();
+      runDue().catch(e => console.error('Reminder pass failed', e));
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,52 @@
+// server-roles.js
+// Member roles -> permissions. `isAdmin` (set by /members/:id/make-admin) is
+// kept as the flag for the full admin role; finer roles live in `member.roles`.
+
+export const PERMISSIONS = [
+  'members:read',     // list members, see pending signups
+  'members:manage',   // approve / reject / delete
+  'members:roles',    // grant or revoke roles (incl. admin)
+  'meetings:manage',  // create / edit / cancel / delete meetings
+  'chat:moderate',    // moderation tools in club chat
+  'audit:read',       // view the admin audit log
+  'deliveries:read',  // notification delivery reports
+  'announcements:send', // broadcast announcements to member segments
+  'data:backup',      // take and restore database snapshots
+];
+
+export const ROLES = {
+  admin: PERMISSIONS,
+  moderator: ['members:read', 'chat:moderate'],
+  organizer: ['members:read', 'meetings:manage', 'deliveries:read'],
+};
+
+/**
+ * Valid roles from user input, e.g. ['moderator', 'nope'] -> ['moderator'].
+ * @param {unknown} input
+ * @returns {string[]}
+ */
+export function cleanRoles(input) {
+  const list = Array.isArray(input) ? input : [];
+  return [...new Set(list.map(r => String(r).toLowerCase()).filter(r => r in ROLES))];
+}
+
+export function memberRoles(member) {
+  if (!member) return [];
+  const roles = cleanRoles(member.roles);
+  if (member.isAdmin && !roles.includes('admin')) roles.unshift('admin');
+  return roles;
+}
+
+export function memberPermissions(member) {
+  if (!member || member.status !== 'approved') return [];
+  return [...new Set(memberRoles(member).flatMap(r => ROLES[r]))];
+}
+
+export function hasPermission(member, permission) {
+  return memberPermissions(member).includes(permission);
+}
+
+// Anyone holding at least one permission may open the admin console
+export function isStaff(member) {
+  return memberPermissions(member).length > 0;
+}
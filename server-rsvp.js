@@ -0,0 +1,100 @@
+// server-rsvp.js
+// Meeting RSVPs: yes/no/maybe responses, optional capacity and a FIFO waitlist.
+// Pure helpers that mutate a meeting object in place; callers persist + notify.
+
+export const RSVP_STATUSES = ['yes', 'no', 'maybe'];
+
+function list(meeting) {
+  meeting.rsvps ||= [];
+  return meeting.rsvps;
+}
+
+function hasRoom(meeting) {
+  const cap = Number(meeting.capacity) || 0;
+  if (!cap) return true; // no capacity = unlimited
+  return list(meeting).filter(r => r.status === 'yes').length < cap;
+}
+
+/**
+ * Move waitlisted members into free spots (oldest request first).
+ * Nobody is promoted into a cancelled meeting.
+ * @param {any} meeting
+ * @returns {string[]} ids of promoted members
+ */
+export function promoteWaitlist(meeting) {
+  if (meeting.cancelled) return [];
+  const promoted = [];
+  const waiting = list(meeting)
+    .filter(r => r.status === 'waitlist')
+    .sort((a, b) => a.at - b.at);
+  for (const r of waiting) {
+    if (!hasRoom(meeting)) break;
+    r.status = 'yes';
+    r.promotedAt = Date.now();
+    promoted.push(r.memberId);
+  }
+  return promoted;
+}
+
+/**
+ * Record a member's response. A "yes" on a full meeting lands on the waitlist;
+ * giving up a confirmed spot promotes the next person waiting.
+ * @param {any} meeting
+ * @param {string} memberId
+ * @param {'yes'|'no'|'maybe'} status
+ * @returns {{ rsvp: any, promoted: string[] }}
+ */
+export function setRsvp(meeting, memberId, status) {
+  const rsvps = list(meeting);
+  let r = rsvps.find(x => x.memberId === memberId);
+  const prev = r?.status;
+
+  if (status === 'yes') {
+    // Keep a confirmed spot or place in line rather than re-queuing
+    if (prev === 'yes' || prev === 'waitlist') return { rsvp: r, promoted: [] };
+    const next = hasRoom(meeting) ? 'yes' : 'waitlist';
+    if (!r) { r = { memberId }; rsvps.push(r); }
+    r.status = next;
+    r.at = Date.now();
+    return { rsvp: r, promoted: [] };
+  }
+
+  if (!r) { r = { memberId }; rsvps.push(r); }
+  r.status = status;
+  r.at = Date.now();
+  return { rsvp: r, promoted: prev === 'yes' ? promoteWaitlist(meeting) : [] };
+}
+
+/**
+ * Drop a member's RSVP entirely.
+ * @returns {string[]} ids of members promoted into the freed spot
+ */
+export function removeRsvp(meeting, memberId) {
+  const rsvps = list(meeting);
+  const i = rsvps.findIndex(x => x.memberId === memberId);
+  if (i < 0) return [];
+  const [r] = rsvps.splice(i, 1);
+  return r.status === 'yes' ? promoteWaitlist(meeting) : [];
+}
+
+export function rsvpCounts(meeting) {
+  const counts = { yes: 0, no: 0, maybe: 0, waitlist: 0 };
+  for (const r of list(meeting)) counts[r.status] = (counts[r.status] || 0) + 1;
+  const cap = Number(meeting.capacity) || null;
+  return { ...counts, capacity: cap, spotsLeft: cap ? Math.max(0, cap - counts.yes) : null };
+}
+
+/**
+ * A member's own RSVP (with waitlist position, 1-based) or null.
+ */
+export function rsvpFor(meeting, memberId) {
+  if (!memberId) return null;
+  const r = list(meeting).find(x => x.memberId === memberId);
+  if (!r) return null;
+  if (r.status !== 'waitlist') return { status: r.status, at: r.at };
+  const position = list(meeting)
+    .filter(x => x.status === 'waitlist')
+    .sort((a, b) => a.at - b.at)
+    .findIndex(x => x.memberId === memberId) + 1;
+  return { status: r.status, at: r.at, waitlistPosition: position };
+}
@@ -0,0 +1,131 @@
+// server-sessions.js
+// One session model for every login method (SMS code, email/password).
+// Tokens are opaque random strings; only their SHA-256 hashes are stored, in
+// db.data.sessions. Access tokens expire; a refresh token (rotated on every
+// use) mints a new pair without logging in again.
+
+import crypto from 'node:crypto';
+import { nanoid } from 'nanoid';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * @param {{ db: any, accessTtlMs?: number, refreshTtlMs?: number }} opts
+ */
+export function createSessions({ db, accessTtlMs = 7 * DAY, refreshTtlMs = 90 * DAY }) {
+  const list = () => (db.data.sessions ||= []);
+  const live = (s, now = Date.now()) => !s.revokedAt && s.refreshExpiresAt > now;
+  // db.find is the indexed lookup from server-storage.js
+  const byHash = (field, h) => (db.find ? db.find('sessions', field, h) : list().find(x => x[field] === h));
+
+  function issue(session) {
+    const token = newToken();
+    const refreshToken = newToken();
+    const now = Date.now();
+    session.tokenHash = hashToken(token);
+    session.refreshHash = hashToken(refreshToken);
+    session.expiresAt = now + accessTtlMs;
+    session.refreshExpiresAt = now + refreshTtlMs;
+    session.lastUsedAt = now;
+    return { token, refreshToken, expiresAt: session.expiresAt, sessionId: session.id };
+  }
+
+  /**
+   * Start a session. Caller persists with db.write().
+   * @param {any} member
+   * @param {{ method: 'sms'|'password'|'legacy', label?: string, ip?: string, userAgent?: string }} meta
+   */
+  function create(member, { method, label = '', ip = '', userAgent = '' }) {
+    prune();
+    const session = {
+      id: nanoid(),
+      memberId: member.id,
+      method,
+      label: String(label || userAgent || '').slice(0, 120),
+      ip,
+      createdAt: Date.now(),
+    };
+    const pair = issue(session);
+    list().push(session);
+    return pair;
+  }
+
+  /**
+   * Session for a presented access token, or null if unknown/expired/revoked.
+   */
+  function resolve(token) {
+    if (!token) return null;
+    const h = hashToken(token);
+    const now = Date.now();
+    const s = byHash('tokenHash', h);
+    if (!s || s.revokedAt || s.expiresAt <= now) return null;
+    if (now - (s.lastUsedAt || 0) > 5 * 60 * 1000) s.lastUsedAt = now; // persisted with the next db.write() that compares sessions
+    return s;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (the old pair stops working).
+   * Presenting an already-rotated refresh token revokes the session outright,
+   * since that means it was copied.
+   * @returns {{ token: string, refreshToken: string, expiresAt: number, sessionId: string } | null}
+   */
+  function refresh(refreshToken) {
+    if (!refreshToken) return null;
+    const h = hashToken(refreshToken);
+    const now = Date.now();
+    const reused = list().find(x => (x.previousRefreshHashes || []).includes(h));
+    if (reused) { reused.revokedAt ||= now; return null; }
+    const s = byHash('refreshHash', h);
+    if (!s || !live(s, now)) return null;
+    s.previousRefreshHashes = [...(s.previousRefreshHashes || []), s.refreshHash].slice(-5);
+    return issue(s);
+  }
+
+  function revoke(sessionId) {
+    const s = list().find(x => x.id === sessionId);
+    if (s && !s.revokedAt) s.revokedAt = Date.now();
+    return s || null;
+  }
+
+  /**
+   * Revoke every session of a member, optionally keeping one (the current).
+   * @returns {string[]} revoked session ids
+   */
+  function revokeAll(memberId, { except } = {}) {
+    const now = Date.now();
+    const revoked = [];
+    for (const s of list()) {
+      if (s.memberId !== memberId || s.id === except || s.revokedAt) continue;
+      s.revokedAt = now;
+      revoked.push(s.id);
+    }
+    return revoked;
+  }
+
+  function listFor(memberId) {
+    const now = Date.now();
+    return list().filter(s => s.memberId === memberId && live(s, now));
+  }
+
+  // What a member sees about their own sessions (never the hashes)
+  function view(s, currentId) {
+    return {
+      id: s.id, method: s.method, label: s.label, ip: s.ip,
+      createdAt: s.createdAt, lastUsedAt: s.lastUsedAt, expiresAt: s.expiresAt,
+      current: s.id === currentId,
+    };
+  }
+
+  // Drop sessions that can no longer be used (refresh window over, or revoked a while ago)
+  function prune() {
+    const now = Date.now();
+    const keep = list().filter(s => s.refreshExpiresAt > now && !(s.revokedAt && now - s.revokedAt > DAY));
+    db.data.sessions = keep;
+  }
+
+  return { create, resolve, refresh, revoke, revokeAll, listFor, view, prune };
+}
@@ -1,57 +1,151 @@
 // server-socket.js
 // ESM module to attach Socket.IO to an existing HTTP server.
 import { Server as SocketIOServer } from 'socket.io';
-import { nanoid } from 'nanoid';
 
 /**
  * Attach Socket.IO to your HTTP server.
+ *
+ * Client events:
+ *   chat:send    { roomId?, text, replyTo? } -> ack({ ok, message } | { ok:false, error })
+ *   chat:edit    { id, text }           -> ack({ ok, message })
+ *   chat:delete  { id }                 -> ack({ ok })
+ *   chat:react   { id, emoji }          -> ack({ ok, reactions })   toggles
+ *   chat:report  { id, reason? }        -> ack({ ok })
+ *   chat:history { roomId, before?, after?, limit? } -> ack({ ok, messages, hasMore })
+ *   chat:rooms   -                      -> ack({ ok, rooms })
+ *   chat:read    { roomId, messageId? } -> ack({ ok, roomId, messageId, unread })
+ * Server events:
+ *   chat:init    last messages of #general on connect (array, as before rooms)
+ *   chat:new     message, delivered only to sockets in its room
+ *   chat:read    { roomId, messageId, unread } to all of a member's sockets when a marker moves
+ *   chat:update  edited message
+ *   chat:delete  { id, roomId, deletedAt }
+ *   chat:reaction { id, roomId, reactions }
+ *
  * @param {import('http').Server} httpServer
- * @param {{ db: any, memberByToken: (token:string)=>Promise<any> }} opts
+ * @param {{
+ *   db: any,
+ *   chat: any,
+ *   moderation?: any,  // banned members can't connect and are dropped if banned mid-connection
+ *   authenticate: (token:string)=>Promise<{ member:any, session:any }|null>,
+ *   onModerated?: (req:{ member:any, ip:string }, result:any)=>any, // someone else's message was deleted
+ * }} opts
  * @returns {SocketIOServer}
  */
-export function attachSocketIO(httpServer, { db, memberByToken }) {
+export function attachSocketIO(httpServer, { db, chat, moderation, authenticate, onModerated }) {
   const io = new SocketIOServer(httpServer, {
     cors: { origin: '*' } // For development. Lock down in production.
   });
+  chat.attach(io);
 
   // Authenticate sockets with the same Bearer token your REST API uses
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth?.token || '';
-      const m = await memberByToken(token);
-      if (!m) return next(new Error('unauthorized'));
+      const auth = await authenticate(token);
+      if (!auth) return next(new Error('unauthorized'));
+      const m = auth.member;
+      if (moderation?.activeSanction(m.id, 'ban')) return next(new Error('banned'));
       socket.data.member = { id: m.id, name: m.name || '', phone: m.phone };
+      socket.data.sessionId = auth.session.id;
       next();
     } catch (e) {
       next(e);
     }
   });
 
+  // Fresh member record for permission checks (roles can change mid-connection)
+  async function actorOf(socket) {
+    await db.read();
+    const member = (db.data.members || []).find(x => x.id === socket.data.member.id);
+    if (!member || member.status !== 'approved') return null;
+    if (moderation?.activeSanction(member.id, 'ban')) {
+      socket.disconnect(true);
+      return null;
+    }
+    return { member };
+  }
+  const reply = (ack, body) => { if (typeof ack === 'function') ack(body); };
+
+  // A handler that throws still answers its ack instead of leaving a rejection unhandled
+  function on(socket, event, handler) {
+    socket.on(event, async (payload, ack) => {
+      try {
+        await handler(payload, ack);
+      } catch (e) {
+        console.error(`socket ${event} failed:`, e);
+        reply(typeof payload === 'function' ? payload : ack, { ok: false, error: 'internal error' });
+      }
+    });
+  }
+
   io.on('connection', async (socket) => {
-    // Send last 100 messages on connect
     try {
-      await db.read();
-      db.data.chat ||= [];
-      socket.emit('chat:init', db.data.chat.slice(-100));
+      const actor = await actorOf(socket);
+      if (!actor) return socket.disconnect(true);
+      socket.join(chat.socketRooms(actor.member));
+      const general = chat.history(actor, 'general');
+      socket.emit('chat:init', general.ok ? general.messages : []);
     } catch {}
 
-    // Receive and broadcast a new chat message
-    socket.on('chat:send', async (payload) => {
-      const text = (payload?.text || '').toString().trim();
-      if (!text) return;
-      const me = socket.data.member;
-      const msg = {
-        id: nanoid(),
-        memberId: me.id,
-        name: me.name || me.phone || 'Member',
-        text,
-        ts: Date.now()
-      };
-      await db.read();
-      db.data.chat ||= [];
-      db.data.chat.push(msg);
-      await db.write();
-      io.emit('chat:new', msg);
+    on(socket, 'chat:send', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = await chat.post(actor, payload?.roomId || 'general', payload?.text, { replyTo: payload?.replyTo });
+      reply(ack, r.ok ? { ok: true, message: r.message } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:edit', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = await chat.editMessage(actor, payload?.id, payload?.text);
+      reply(ack, r.ok ? { ok: true, message: r.message } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:delete', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = await chat.deleteMessage(actor, payload?.id);
+      if (r.ok && r.moderated) await onModerated?.({ member: actor.member, ip: socket.handshake.address }, r);
+      reply(ack, r.ok ? { ok: true } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:react', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = await chat.react(actor, payload?.id, payload?.emoji);
+      reply(ack, r.ok ? { ok: true, reactions: r.reactions } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:report', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = await chat.reportMessage(actor, payload?.id, payload?.reason);
+      reply(ack, r.ok ? { ok: true } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:history', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const { roomId, before, after, limit } = payload || {};
+      const r = chat.history(actor, roomId, { before, after, limit });
+      if (r.ok) socket.join(r.room.id);
+      reply(ack, r.ok ? { ok: true, roomId: r.room.id, messages: r.messages, hasMore: r.hasMore } : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:read', async (payload, ack) => {
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      const r = chat.markRead(actor, payload?.roomId, payload?.messageId);
+      if (r.ok) await db.write({ chatReads: true });
+      reply(ack, r.ok ? r : { ok: false, error: r.error });
+    });
+
+    on(socket, 'chat:rooms', async (payload, ack) => {
+      if (typeof payload === 'function') ack = payload;
+      const actor = await actorOf(socket);
+      if (!actor) return reply(ack, { ok: false, error: 'unauthorized' });
+      reply(ack, { ok: true, rooms: chat.listRooms(actor) });
     });
   });
 
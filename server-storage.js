@@ -0,0 +1,365 @@
+// server-storage.js
+// The `db` object every module shares, with a choice of backend:
+//   db.data                         the whole dataset in memory (same shape as db.json)
+//   db.read()                       no-op once open: this process owns the data, so memory
+//                                   is always current (re-reading the file mid-request is
+//                                   what let concurrent handlers overwrite each other)
+//   db.write(changed?)              persist; writes are serialized and coalesced, and the
+//                                   promise settles once the state at call time is stored.
+//                                   `changed` narrows what SQLite compares, for hot paths:
+//                                   { chat: [msg] }     these records were added (pushed) or edited
+//                                   { chatReads: true } anything in this collection may have changed
+//                                   Without it every collection is compared; a write that removes
+//                                   records must name their collection with `true`.
+//   db.find(collection, field, value, { caseless })   indexed lookup, e.g. members by phone;
+//                                   an in-place edit to the field shows up after db.write()
+//   db.close()
+// One server process per data directory: the data lives in this process's memory, so a
+// second process would overwrite it. openStorage takes DATA_DIR/snoot.lock (holding the
+// pid) and refuses to open while a live process holds it; a lock left by a process that
+// died is taken over. close() releases it.
+//
+// Backends:
+//   json    DATA_DIR/db.json, written atomically (temp file + rename) — the default
+//   sqlite  DATA_DIR/snoot.db via better-sqlite3. Arrays of records with unique string
+//           ids get a row each and only changed rows are written, so a long chat history
+//           no longer means rewriting everything; other values are stored whole. Finding
+//           the changed rows means serializing what's compared: a plain db.write() still
+//           costs O(dataset) CPU, a write naming its records costs O(those records).
+//           The json backend always rewrites the whole file.
+// Move an existing db.json over with `npm run migrate:sqlite` (migrate-to-sqlite.js).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { JSONFile } from 'lowdb/node';
+
+export const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Union of two `changed` hints; null = everything
+function mergeChanged(a, b) {
+  if (!a || !b) return null;
+  const out = { ...a };
+  for (const [name, v] of Object.entries(b)) {
+    out[name] = out[name] === true || v === true ? true : [...(out[name] || []), ...v];
+  }
+  return out;
+}
+
+// Serialize persists; callers arriving while one is queued share it (and their hints merge)
+function writeQueue(persist) {
+  let tail = Promise.resolve();
+  let queued = null;
+  let changed;
+  return (hint = null) => {
+    changed = queued ? mergeChanged(changed, hint) : hint;
+    if (queued) return queued;
+    queued = tail.then(() => {
+      queued = null;
+      return persist(changed);
+    });
+    tail = queued.catch(() => {});
+    return queued;
+  };
+}
+
+// In-memory lookup tables. A table is rebuilt when its collection array is replaced or
+// changes length, or after a db.write() (fields change in place: a member links a new
+// phone, a session rotates its token), never because a lookup missed — misses are
+// what unknown phones and bad tokens produce.
+function createIndexes(db) {
+  const indexes = new Map(); // `${collection}.${field}[.i]` -> { collection, list, length, map, stale }
+
+  function build(key, collection, field, caseless) {
+    const list = db.data[collection] || [];
+    const map = new Map();
+    for (const rec of list) {
+      const v = rec?.[field];
+      if (v === undefined || v === null || v === '') continue;
+      const k = caseless ? String(v).toLowerCase() : v;
+      if (!map.has(k)) map.set(k, rec);
+    }
+    const idx = { collection, list, length: list.length, map, stale: false };
+    indexes.set(key, idx);
+    return idx;
+  }
+
+  /**
+   * First record in `collection` whose `field` equals `value` (or undefined).
+   */
+  function find(collection, field, value, { caseless = false } = {}) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const k = caseless ? String(value).toLowerCase() : value;
+    const matches = (rec) => rec && (caseless ? String(rec[field] ?? '').toLowerCase() : rec[field]) === k;
+    const key = `${collection}.${field}${caseless ? '.i' : ''}`;
+    const list = db.data[collection] || [];
+    let idx = indexes.get(key);
+    if (!idx || idx.stale || idx.list !== list || idx.length !== list.length) idx = build(key, collection, field, caseless);
+    let hit = idx.map.get(k);
+    // The record under this key changed since the build: look again
+    if (hit && !matches(hit)) hit = build(key, collection, field, caseless).map.get(k);
+    return matches(hit) ? hit : undefined;
+  }
+
+  // Mark tables stale (all, or those on the given collections); they rebuild on next use
+  function invalidate(collections) {
+    for (const idx of indexes.values()) {
+      if (!collections || collections.includes(idx.collection)) idx.stale = true;
+    }
+  }
+
+  return { find, invalidate };
+}
+
+// db.write that also marks the lookup tables stale, since the write may follow in-place edits
+function indexedWrite(indexes, persist) {
+  const write = writeQueue(persist);
+  return (changed = null) => {
+    indexes.invalidate(changed ? Object.keys(changed) : undefined);
+    return write(changed);
+  };
+}
+
+// ---- Data directory lock ----
+const held = new Set(); // lock files this process holds
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function acquireLock(dir) {
+  const file = path.join(dir, 'snoot.lock');
+  if (held.has(file)) throw new Error(`${dir} is already open in this process`);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      fs.writeFileSync(file, `${process.pid}\n`, { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST' || attempt) throw e;
+    }
+    const pid = Number.parseInt(fs.readFileSync(file, 'utf8'), 10);
+    // Our own pid here is a previous run (containers reuse pid 1)
+    if (pid && pid !== process.pid && pidAlive(pid)) {
+      throw new Error(`${dir} is in use by process ${pid} (${file}); run one server per DATA_DIR`);
+    }
+    fs.rmSync(file, { force: true });
+  }
+  held.add(file);
+  return () => {
+    if (!held.delete(file)) return;
+    fs.rmSync(file, { force: true });
+  };
+}
+
+function withDefaults(data, defaults) {
+  const out = data && typeof data === 'object' ? data : {};
+  for (const [k, v] of Object.entries(defaults)) out[k] ??= structuredClone(v);
+  return out;
+}
+
+async function openJson({ file, defaults }) {
+  const adapter = new JSONFile(file);
+  const db = { type: 'json', location: file, data: withDefaults(await adapter.read(), defaults) };
+  db.read = async () => {};
+  const indexes = createIndexes(db);
+  db.write = indexedWrite(indexes, () => adapter.write(db.data));
+  db.find = indexes.find;
+  db.close = async ({ save = true } = {}) => {
+    if (save) await db.write();
+  };
+  return db;
+}
+
+// Arrays of objects with unique string ids are stored a row per record
+function isRecordList(value) {
+  if (!Array.isArray(value)) return false;
+  const ids = new Set();
+  for (const rec of value) {
+    if (!rec || typeof rec !== 'object' || Array.isArray(rec) || typeof rec.id !== 'string' || ids.has(rec.id)) return false;
+    ids.add(rec.id);
+  }
+  return true;
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS collections (
+    name  TEXT PRIMARY KEY,
+    kind  TEXT NOT NULL CHECK (kind IN ('records', 'value')),
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    id         TEXT NOT NULL,
+    pos        INTEGER NOT NULL,
+    data       TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  ) WITHOUT ROWID;
+  CREATE INDEX IF NOT EXISTS records_order ON records (collection, pos);
+  -- Lookups go through db.find's in-memory indexes; earlier versions created these
+  DROP INDEX IF EXISTS members_phone;
+  DROP INDEX IF EXISTS members_email;
+  DROP INDEX IF EXISTS sessions_token;
+  DROP INDEX IF EXISTS sessions_refresh;
+  DROP INDEX IF EXISTS chat_room;
+`;
+
+async function openSqlite({ file, defaults }) {
+  const { default: Database } = await import('better-sqlite3');
+  const sql = new Database(file);
+  sql.pragma('journal_mode = WAL');
+  sql.pragma('synchronous = NORMAL');
+  sql.pragma('busy_timeout = 5000');
+  sql.exec(SCHEMA);
+
+  const q = {
+    collections: sql.prepare('SELECT name, kind, value FROM collections'),
+    rows: sql.prepare('SELECT collection, id, pos, data FROM records ORDER BY collection, pos'),
+    setCollection: sql.prepare(`INSERT INTO collections (name, kind, value) VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET kind = excluded.kind, value = excluded.value`),
+    dropCollection: sql.prepare('DELETE FROM collections WHERE name = ?'),
+    upsert: sql.prepare(`INSERT INTO records (collection, id, pos, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET pos = excluded.pos, data = excluded.data`),
+    remove: sql.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+    clear: sql.prepare('DELETE FROM records WHERE collection = ?'),
+  };
+
+  // What's stored, so a write only touches what changed:
+  //   name -> { kind: 'value', json } | { kind: 'records', rows: Map<id, { pos, json }>, last: highest pos }
+  const stored = new Map();
+  const data = {};
+  for (const c of q.collections.all()) {
+    if (c.kind === 'value') {
+      data[c.name] = JSON.parse(c.value);
+      stored.set(c.name, { kind: 'value', json: c.value });
+    } else {
+      data[c.name] = [];
+      stored.set(c.name, { kind: 'records', rows: new Map(), last: -1 });
+    }
+  }
+  for (const r of q.rows.iterate()) {
+    if (!stored.get(r.collection)?.rows) continue;
+    data[r.collection].push(JSON.parse(r.data));
+    const entry = stored.get(r.collection);
+    entry.rows.set(r.id, { pos: r.pos, json: r.data });
+    entry.last = Math.max(entry.last, r.pos);
+  }
+
+  function dropCollection(name) {
+    q.dropCollection.run(name);
+    q.clear.run(name);
+    stored.delete(name);
+  }
+
+  // Compare one collection with what's stored and write the difference
+  function persistCollection(name, value) {
+    const prev = stored.get(name);
+    if (!isRecordList(value)) {
+      const json = JSON.stringify(value ?? null);
+      if (prev?.kind === 'value' && prev.json === json) return;
+      if (prev?.kind === 'records') q.clear.run(name);
+      q.setCollection.run(name, 'value', json);
+      stored.set(name, { kind: 'value', json });
+      return;
+    }
+    if (prev?.kind !== 'records') q.setCollection.run(name, 'records', null);
+    const before = prev?.kind === 'records' ? prev.rows : new Map();
+    const rows = new Map();
+    let last = -1;
+    for (const rec of value) {
+      const json = JSON.stringify(rec);
+      const old = before.get(rec.id);
+      // Keep a record's position while order holds; only moved or new records get a new one
+      const pos = old && old.pos > last ? old.pos : last + 1;
+      if (!old || old.pos !== pos || old.json !== json) q.upsert.run(name, rec.id, pos, json);
+      rows.set(rec.id, { pos, json });
+      last = pos;
+    }
+    for (const id of before.keys()) if (!rows.has(id)) q.remove.run(name, id);
+    stored.set(name, { kind: 'records', rows, last });
+  }
+
+  // Write just the named records: edited ones in place, new ones (pushed, so at the
+  // end of the array) after the last row. Anything else compares the whole collection.
+  function persistRecords(name, value, recs) {
+    const prev = stored.get(name);
+    if (prev?.kind !== 'records' || !Array.isArray(value)) return persistCollection(name, value);
+    const added = [...new Set(recs)].filter(rec => !prev.rows.has(rec?.id));
+    const tail = value.slice(value.length - added.length);
+    const appended = value.length === prev.rows.size + added.length
+      && added.every((rec, i) => tail[i] === rec && typeof rec.id === 'string')
+      && new Set(added.map(rec => rec.id)).size === added.length;
+    if (!appended) return persistCollection(name, value);
+    for (const rec of recs) {
+      const json = JSON.stringify(rec);
+      const old = prev.rows.get(rec.id);
+      const pos = old ? old.pos : ++prev.last;
+      if (old?.json === json) continue;
+      q.upsert.run(name, rec.id, pos, json);
+      prev.rows.set(rec.id, { pos, json });
+    }
+  }
+
+  const persist = sql.transaction((current, changed) => {
+    if (changed) {
+      for (const [name, recs] of Object.entries(changed)) {
+        if (!(name in current)) { if (stored.has(name)) dropCollection(name); }
+        else if (recs === true) persistCollection(name, current[name]);
+        else persistRecords(name, current[name], recs);
+      }
+      return;
+    }
+    for (const name of [...stored.keys()]) if (!(name in current)) dropCollection(name);
+    for (const [name, value] of Object.entries(current)) persistCollection(name, value);
+  });
+
+  const db = { type: 'sqlite', location: file, data: withDefaults(data, defaults) };
+  db.read = async () => {};
+  const indexes = createIndexes(db);
+  db.write = indexedWrite(indexes, async (changed) => { persist(db.data, changed); });
+  db.find = indexes.find;
+  db.isEmpty = () => stored.size === 0;
+  db.close = async ({ save = true } = {}) => {
+    if (save) await db.write();
+    sql.close();
+  };
+  return db;
+}
+
+/**
+ * Open the configured backend.
+ * @param {{ type?: 'json'|'sqlite', dir: string, defaults?: object }} opts
+ */
+export async function openStorage({ type = 'json', dir, defaults = {} }) {
+  if (!STORAGE_TYPES.includes(type)) throw new Error(`STORAGE must be one of: ${STORAGE_TYPES.join(', ')}`);
+  fs.mkdirSync(dir, { recursive: true });
+  const release = acquireLock(dir);
+  let db;
+  try {
+    const jsonFile = path.join(dir, 'db.json');
+    if (type === 'json') {
+      db = await openJson({ file: jsonFile, defaults });
+    } else {
+      db = await openSqlite({ file: path.join(dir, 'snoot.db'), defaults });
+      if (db.isEmpty() && fs.existsSync(jsonFile)) {
+        await db.close({ save: false });
+        throw new Error(`${jsonFile} exists but the SQLite database is empty; run \`npm run migrate:sqlite\` first`);
+      }
+    }
+  } catch (e) {
+    release();
+    throw e;
+  }
+  const close = db.close;
+  db.close = async (opts) => {
+    try {
+      await close(opts);
+    } finally {
+      release();
+    }
+  };
+  return db;
+}
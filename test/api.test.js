@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, signUp, requestCode, waitFor, ADMIN_PIN, CRON_SECRET } from './helpers.js';
+
+// t.request checks every JSON response against the route's schema in the
+// OpenAPI document (helpers.js checkContract); these tests walk the API so
+// each documented response shape is exercised at least once.
+
+const DAY = 24 * 60 * 60 * 1000;
+let t;
+let ann;
+let bob;
+
+before(async () => {
+  t = await startServer();
+  ann = await signUp(t, '5556010001', 'Ann', { expoToken: 'ExponentPushToken[ann]' });
+  bob = await signUp(t, '5556010002', 'Bob', { expoToken: 'ExponentPushToken[bob]' });
+});
+after(() => t.close());
+
+const ok = async (...args) => {
+  const r = await t.request(...args);
+  assert.equal(r.status, 200, `${args[0]} ${args[1]}: ${JSON.stringify(r.body)}`);
+  return r.body;
+};
+const cron = (path) => ok('POST', `${path}?secret=${CRON_SECRET}`);
+
+test('the OpenAPI document declares a response for every JSON route', async () => {
+  const doc = await ok('GET', '/openapi.json');
+  for (const [path, ops] of Object.entries(doc.paths)) {
+    for (const [method, op] of Object.entries(ops)) {
+      assert.ok(op.responses[200], `${method} ${path}`);
+    }
+  }
+});
+
+test('page limits in the spec are the caps the server applies', async () => {
+  const doc = await ok('GET', '/openapi.json');
+  const limitOf = (path) => doc.paths[path].get.parameters.find(p => p.name === 'limit').schema.maximum;
+  assert.equal(limitOf('/chat/messages'), 100);
+  assert.equal(limitOf('/admin/chat/reports'), 500);
+  const over = await t.request('GET', '/chat/messages?room=general&limit=101', { token: ann.token });
+  assert.equal(over.status, 400);
+  await ok('GET', '/chat/messages?room=general&limit=100', { token: ann.token });
+});
+
+test('account, profile and preferences responses match the spec', async () => {
+  await ok('GET', '/healthz');
+  await ok('GET', '/me', { token: ann.token });
+  await ok('PATCH', '/me', { token: ann.token, body: { bio: 'Corgi person', pets: [{ name: 'Biscuit', breed: 'Corgi' }] } });
+  await ok('GET', '/me/sessions', { token: ann.token });
+  await ok('GET', '/directory', { token: ann.token });
+  await ok('GET', `/directory/${bob.id}`, { token: ann.token });
+  await ok('GET', '/me/preferences', { token: ann.token });
+  await ok('PUT', '/me/preferences', { token: ann.token, body: { quietHours: { start: '22:00', end: '07:00' } } });
+  await ok('GET', '/me/calendar', { token: ann.token });
+  await ok('POST', '/me/calendar/rotate', { token: ann.token });
+  await ok('POST', '/me/email', { token: ann.token, body: { email: 'ann@example.com' } });
+  const refresh = await t.request('POST', '/auth/request-code', { body: { phone: '5556010001' } });
+  assert.equal(refresh.status, 200);
+});
+
+test('member administration responses match the spec', async () => {
+  await ok('GET', '/members', { pin: true });
+  await ok('GET', '/roles', { pin: true });
+  await ok('POST', `/members/${bob.id}/roles`, { pin: true, body: { roles: ['moderator'] } });
+  await ok('GET', '/admin/audit', { pin: true });
+  const { invite } = await ok('POST', '/admin/invites', { pin: true, body: { maxUses: 2, note: 'park' } });
+  await ok('GET', '/admin/invites', { pin: true });
+  await ok('POST', `/admin/invites/${invite.id}/revoke`, { pin: true });
+  await ok('GET', '/admin/backups', { pin: true });
+  await ok('POST', '/admin/backups', { pin: true });
+  await cron('/tasks/backup');
+});
+
+test('meeting, RSVP and delivery responses match the spec', async () => {
+  const meeting = await ok('POST', '/meetings', {
+    pin: true,
+    body: { title: 'Agility class', location: 'Field', startsAt: new Date(Date.now() + 7 * DAY).toISOString(), capacity: 1 },
+  });
+  await ok('GET', '/meetings', { token: ann.token });
+  await ok('PATCH', `/meetings/${meeting.id}`, { pin: true, body: { location: 'Big field', notify: false } });
+  await ok('POST', `/meetings/${meeting.id}/rsvp`, { token: ann.token, body: { status: 'yes' } });
+  await ok('POST', `/meetings/${meeting.id}/rsvp`, { token: bob.token, body: { status: 'yes' } }); // waitlisted
+  await ok('GET', `/meetings/${meeting.id}/rsvp`, { token: ann.token });
+  await ok('DELETE', `/meetings/${meeting.id}/rsvp`, { token: ann.token });
+
+  await waitFor(async () => {
+    const { batches } = await ok('GET', '/admin/deliveries', { pin: true });
+    return batches.some(b => b.total && b.counts.sms?.sent);
+  }, { what: 'meeting texts sent' });
+  const { batches } = await ok('GET', '/admin/deliveries', { pin: true });
+  const detail = await ok('GET', `/admin/deliveries/${batches.at(-1).id}`, { pin: true });
+  assert.ok(detail.jobs.length);
+  await cron('/tasks/outbox');
+  await cron('/tasks/push-receipts');
+  await cron('/tasks/reminders');
+
+  await ok('POST', `/meetings/${meeting.id}/cancel`, { pin: true, body: { reason: 'Rain' } });
+  await ok('DELETE', `/meetings/${meeting.id}`, { pin: true });
+});
+
+test('chat and moderation responses match the spec', async () => {
+  const { message } = await ok('POST', '/chat/send', { token: ann.token, body: { text: 'Who is walking today?' } });
+  await ok('GET', '/chat/rooms', { token: bob.token });
+  await ok('GET', '/chat/messages?room=general', { token: bob.token });
+  await ok('GET', '/chat/search?q=walking', { token: bob.token });
+  await ok('POST', '/chat/read', { token: bob.token, body: { room: 'general' } });
+  await ok('PATCH', `/chat/messages/${message.id}`, { token: ann.token, body: { text: 'Who is walking at 5?' } });
+  const reacted = await ok('POST', `/chat/messages/${message.id}/reactions`, { token: bob.token, body: { emoji: '🐕' } });
+  assert.deepEqual(reacted.reactions, { '🐕': [bob.id] });
+  await ok('POST', `/chat/messages/${message.id}/pin`, { pin: true });
+  await ok('GET', '/chat/pins?room=general', { token: bob.token });
+
+  const { room } = await ok('POST', '/chat/rooms', { pin: true, body: { name: 'Puppies', topic: 'Under one year' } });
+  await ok('PATCH', `/chat/rooms/${room.id}`, { pin: true, body: { topic: 'Puppies only' } });
+  await ok('POST', '/chat/dm', { token: ann.token, body: { memberId: bob.id } });
+  await ok('GET', '/addons/chat?room=general', { token: ann.token });
+  await ok('POST', '/addons/chat', { token: ann.token, body: { text: 'Hello from the add-on' } });
+
+  const { reportId } = await ok('POST', `/chat/messages/${message.id}/report`, { token: bob.token, body: { reason: 'spam' } });
+  await ok('GET', '/admin/chat/reports', { pin: true });
+  await ok('POST', `/admin/chat/reports/${reportId}`, { pin: true, body: { status: 'dismissed' } });
+  await ok('POST', `/members/${ann.id}/mute`, { pin: true, body: { minutes: 5, reason: 'test' } });
+  await ok('POST', `/members/${ann.id}/unmute`, { pin: true });
+  await ok('GET', '/admin/chat/filter', { pin: true });
+  await ok('PUT', '/admin/chat/filter', { pin: true, body: { words: ['squirrel'], mode: 'mask' } });
+  await ok('DELETE', `/chat/messages/${message.id}`, { pin: true });
+});
+
+test('announcement responses match the spec', async () => {
+  const input = { title: 'Picnic', body: 'Sunday at noon', segment: 'approved', channels: { sms: true, push: true, chat: true } };
+  await ok('GET', '/announcements/segments', { pin: true });
+  await ok('POST', '/announcements/preview', { pin: true, body: input });
+  await ok('POST', '/announcements', { pin: true, body: input });
+  const { announcement } = await ok('POST', '/announcements', { pin: true, body: { ...input, sendAt: Date.now() + DAY } });
+  await ok('GET', '/announcements', { pin: true });
+  await ok('POST', `/announcements/${announcement.id}/cancel`, { pin: true });
+  await cron('/tasks/announcements');
+});
+
+test('email sign-up responses match the spec', async () => {
+  await ok('POST', '/addons/auth/register', { body: { email: 'cy@example.com', password: 'hunter22', name: 'Cy' } });
+  await ok('POST', '/addons/auth/forgot', { body: { email: 'cy@example.com' } });
+  const bad = await t.request('POST', '/addons/auth/login', { body: { email: 'cy@example.com', password: 'wrong' } });
+  assert.equal(bad.status, 401);
+});
+
+test('session, export, erasure and restore responses match the spec', async () => {
+  const cy = await signUp(t, '5556010003', 'Cy');
+  const login = await ok('POST', '/auth/verify-code', { body: { phone: '5556010003', code: await requestCode(t, '5556010003') } });
+  await ok('POST', '/auth/refresh', { body: { refreshToken: login.refreshToken } });
+  const { sessions } = await ok('GET', '/me/sessions', { token: cy.token });
+  await ok('DELETE', `/me/sessions/${sessions.find(s => !s.current).id}`, { token: cy.token });
+  await ok('DELETE', '/me/sessions?keepCurrent=1', { token: cy.token });
+  await ok('POST', '/auth/logout', { token: cy.token });
+
+  await ok('POST', '/auth/admin', { body: { pin: ADMIN_PIN } });
+  await ok('POST', `/members/${bob.id}/ban`, { pin: true, body: { reason: 'test' } });
+  await ok('POST', `/members/${bob.id}/unban`, { pin: true });
+  const exported = await ok('GET', '/me/export', { token: bob.token });
+  assert.equal(exported.member.id, bob.id);
+
+  const dee = await signUp(t, '5556010004', 'Dee');
+  await ok('DELETE', '/me', { token: dee.token, body: { confirm: true } });
+  const eve = await signUp(t, '5556010005', 'Eve');
+  await ok('DELETE', `/members/${eve.id}`, { pin: true });
+
+  const { backup } = await ok('POST', '/admin/backups', { pin: true });
+  await ok('POST', `/admin/backups/${backup.name}/restore`, { pin: true });
+});
@@ -0,0 +1,154 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { startServer, requestCode, signUp } from './helpers.js';
+import { createMailer } from '../server-mailer.js';
+
+let t;
+before(async () => { t = await startServer(); });
+after(() => t.close());
+
+test('registration waits for approval, then OTP login gives a session', async () => {
+  const reg = await t.request('POST', '/register', { body: { phone: '(555) 201-0001', name: 'Ada' } });
+  assert.equal(reg.status, 200);
+  assert.equal(reg.body.status, 'pending');
+
+  // Pending members can't ask for a code
+  const early = await t.request('POST', '/auth/request-code', { body: { phone: '5552010001' } });
+  assert.equal(early.status, 403);
+  assert.equal(t.sms.sent.length, 0);
+
+  const approve = await t.request('POST', `/members/${reg.body.memberId}/approve`, { pin: true });
+  assert.equal(approve.status, 200);
+
+  const code = await requestCode(t, '5552010001');
+  assert.match(code, /^\d{6}$/);
+  const sms = t.sms.sent.at(-1);
+  assert.equal(sms.to, '+15552010001');
+  assert.equal(sms.from, '+15550000000');
+
+  const wrong = await t.request('POST', '/auth/verify-code', { body: { phone: '5552010001', code: code === '111111' ? '222222' : '111111' } });
+  assert.equal(wrong.status, 401);
+
+  const login = await t.request('POST', '/auth/verify-code', { body: { phone: '5552010001', code } });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token && login.body.refreshToken);
+  assert.equal(login.body.member.id, reg.body.memberId);
+
+  const me = await t.request('GET', '/me', { token: login.body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.name, 'Ada');
+  assert.equal(me.body.status, 'approved');
+});
+
+test('a code is single use and the refresh token rotates the session', async () => {
+  const reg = await t.request('POST', '/register', { body: { phone: '5552010002', name: 'Bea' } });
+  await t.request('POST', `/members/${reg.body.memberId}/approve`, { pin: true });
+  const code = await requestCode(t, '5552010002');
+  const login = await t.request('POST', '/auth/verify-code', { body: { phone: '5552010002', code } });
+  const again = await t.request('POST', '/auth/verify-code', { body: { phone: '5552010002', code } });
+  assert.equal(again.status, 401);
+
+  const refreshed = await t.request('POST', '/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.token, login.body.token);
+  assert.equal((await t.request('GET', '/me', { token: refreshed.body.token })).status, 200);
+});
+
+test('rejected members lose their sessions', async () => {
+  const reg = await t.request('POST', '/register', { body: { phone: '5552010003', name: 'Cy' } });
+  await t.request('POST', `/members/${reg.body.memberId}/approve`, { pin: true });
+  const code = await requestCode(t, '5552010003');
+  const { body: { token } } = await t.request('POST', '/auth/verify-code', { body: { phone: '5552010003', code } });
+
+  await t.request('POST', `/members/${reg.body.memberId}/reject`, { pin: true });
+  const me = await t.request('GET', '/me', { token });
+  assert.equal(me.status, 401);
+  assert.equal(me.body.code, 'unauthorized');
+});
+
+test('invalid input gets a validation error with details', async () => {
+  const r = await t.request('POST', '/register', { body: { name: 'No phone' } });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.code, 'validation_failed');
+  assert.deepEqual(r.body.details.map(d => d.path), ['phone']);
+});
+
+test('the console mail transport never logs the message body', async (ctx) => {
+  const lines = [];
+  ctx.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  const mailer = createMailer({ transport: 'console' });
+  await mailer.send({ to: 'ada@example.com', subject: 'Reset your password', text: 'https://x.test/reset?token=secret-reset-token' });
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /Reset your password/);
+  assert.doesNotMatch(lines[0], /secret-reset-token|ada@example\.com/);
+});
+
+// The newest emailed token sent to `to` (MAIL_TRANSPORT=file)
+function mailedToken(to) {
+  const dir = path.join(t.dataDir, 'mail');
+  const mails = fs.readdirSync(dir).sort().map(f => fs.readFileSync(path.join(dir, f), 'utf8')).filter(m => m.includes(`To: ${to}`));
+  return mails.at(-1)?.match(/\b[0-9a-f]{64}\b/)?.[0];
+}
+
+test('an email typed into someone else\'s sign-up does not block its owner', async () => {
+  const reg = await t.request('POST', '/register', { body: { phone: '5552010009', name: 'Squatter', email: 'dana@example.com' } });
+  assert.equal(reg.status, 200);
+  const squatter = t.snoot.db.data.members.find(m => m.id === reg.body.memberId);
+  assert.equal(squatter.email, '');
+  squatter.email = 'dana@example.com'; // as stored by older versions, never verified
+
+  const dana = await signUp(t, '5552010010', 'Dana');
+  const link = await t.request('POST', '/me/email', { token: dana.token, body: { email: 'dana@example.com' } });
+  assert.equal(link.status, 200);
+  const verified = await t.request('POST', '/addons/auth/verify-email', { body: { token: mailedToken('dana@example.com') } });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.email, 'dana@example.com');
+  assert.equal(squatter.email, '');
+
+  squatter.email = 'eve@example.com';
+  const signup = await t.request('POST', '/addons/auth/register', { body: { email: 'eve@example.com', password: 'hunter22', name: 'Eve' } });
+  assert.equal(signup.status, 200);
+  assert.equal(squatter.email, '');
+  const again = await t.request('POST', '/addons/auth/register', { body: { email: 'eve@example.com', password: 'hunter22', name: 'Eve 2' } });
+  assert.equal(again.status, 409);
+});
+
+test('without ADMIN_PIN there is no bootstrap PIN', async () => {
+  const s = await startServer({ env: { ADMIN_PIN: '' } });
+  try {
+    for (const pin of ['123456', '']) {
+      const r = await s.request('POST', '/auth/admin', { body: { pin } });
+      assert.notEqual(r.status, 200);
+    }
+  } finally {
+    await s.close();
+  }
+});
+
+test('the last admin cannot be demoted, rejected or deleted', async () => {
+  const s = await startServer();
+  try {
+    const ann = await signUp(s, '5552090001', 'Ann');
+    const bob = await signUp(s, '5552090002', 'Bob');
+    assert.equal((await s.request('POST', `/members/${ann.id}/make-admin`, { pin: true })).status, 200);
+
+    const asAnn = { token: ann.token };
+    for (const [method, path, body] of [
+      ['POST', `/members/${ann.id}/remove-admin`],
+      ['POST', `/members/${ann.id}/roles`, { roles: ['moderator'] }],
+      ['POST', `/members/${ann.id}/reject`],
+      ['DELETE', `/members/${ann.id}`],
+      ['DELETE', '/me', { confirm: true }],
+    ]) {
+      const r = await s.request(method, path, { ...asAnn, body });
+      assert.equal(r.status, 409, `${method} ${path}`);
+    }
+
+    assert.equal((await s.request('POST', `/members/${bob.id}/make-admin`, asAnn)).status, 200);
+    assert.equal((await s.request('POST', `/members/${ann.id}/remove-admin`, asAnn)).status, 200);
+  } finally {
+    await s.close();
+  }
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { io as connect } from 'socket.io-client';
+import { startServer, signUp } from './helpers.js';
+import { dmRoomId } from '../server-chat.js';
+import { createChatNotifier } from '../server-chat-push.js';
+
+let t;
+let ann, bob;
+const sockets = [];
+
+before(async () => {
+  t = await startServer();
+  ann = await signUp(t, '5554010001', 'Ann');
+  bob = await signUp(t, '5554010002', 'Bob');
+});
+after(async () => {
+  for (const s of sockets) s.close();
+  await t.close();
+});
+
+function open(token) {
+  const socket = connect(t.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  sockets.push(socket);
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+const next = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+const emit = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+test('sockets need a valid session', async () => {
+  await assert.rejects(open('not-a-token'), /unauthorized/);
+});
+
+test('a message sent over the socket reaches the other member and the REST history', async () => {
+  const a = await open(ann.token);
+  const b = await open(bob.token);
+
+  const arriving = next(b, 'chat:new');
+  const ack = await emit(a, 'chat:send', { text: 'Walk at 5?' });
+  assert.equal(ack.ok, true);
+  const msg = await arriving;
+  assert.equal(msg.text, 'Walk at 5?');
+  assert.equal(msg.memberId, ann.id);
+  assert.equal(msg.roomId, 'general');
+
+  const history = await t.request('GET', '/chat/messages?room=general', { token: bob.token });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.messages.map(m => m.text), ['Walk at 5?']);
+});
+
+test('REST posts are broadcast to connected sockets', async () => {
+  const b = await open(bob.token);
+  const arriving = next(b, 'chat:new');
+  const r = await t.request('POST', '/chat/send', { token: ann.token, body: { text: 'See you there' } });
+  assert.equal(r.status, 200);
+  assert.equal((await arriving).id, r.body.message.id);
+
+  const rooms = await t.request('GET', '/chat/rooms', { token: bob.token });
+  assert.ok(rooms.body.rooms.find(room => room.id === 'general').unread >= 1);
+});
+
+test('reactions toggle', async () => {
+  const a = await open(ann.token);
+  const sent = await emit(a, 'chat:send', { text: 'React to me' });
+  const on = await emit(a, 'chat:react', { id: sent.message.id, emoji: '🐶' });
+  assert.deepEqual(on.reactions, { '🐶': [ann.id] });
+  const off = await emit(a, 'chat:react', { id: sent.message.id, emoji: '🐶' });
+  assert.deepEqual(off.reactions, {});
+});
+
+test('DM rooms are only stored once a participant posts', async () => {
+  const cy = await signUp(t, '5554010003', 'Cy');
+  const room = dmRoomId(ann.id, bob.id);
+  const stored = () => t.snoot.db.data.rooms.some(r => r.id === room);
+
+  const peek = await t.request('GET', `/chat/messages?room=${room}`, { token: cy.token });
+  assert.equal(peek.status, 403);
+  const opened = await t.request('POST', '/chat/dm', { token: ann.token, body: { memberId: bob.id } });
+  assert.equal(opened.body.room.id, room);
+  const read = await t.request('GET', `/chat/messages?room=${room}`, { token: bob.token });
+  assert.deepEqual(read.body.messages, []);
+  assert.equal(stored(), false);
+
+  const sent = await t.request('POST', '/chat/send', { token: ann.token, body: { room, text: 'Hi Bob' } });
+  assert.equal(sent.status, 200);
+  assert.equal(stored(), true);
+  const rooms = await t.request('GET', '/chat/rooms', { token: bob.token });
+  assert.equal(rooms.body.rooms.find(r => r.id === room).unread, 1);
+});
+
+test('erasing a member blanks their messages and deletes their DM rooms', async () => {
+  const dee = await signUp(t, '5554010004', 'Dee');
+  const room = dmRoomId(dee.id, ann.id);
+  await t.request('POST', '/chat/send', { token: dee.token, body: { room, text: 'Private hello' } });
+  await t.request('POST', '/chat/send', { token: ann.token, body: { room, text: 'Hi Dee' } });
+  const said = await t.request('POST', '/chat/send', { token: dee.token, body: { text: 'My address is 12 Elm St' } });
+
+  const erased = await t.request('DELETE', '/me', { token: dee.token, body: { confirm: true } });
+  assert.equal(erased.status, 200);
+
+  const { data } = t.snoot.db;
+  assert.equal(data.rooms.some(r => r.id === room || r.members?.includes(dee.id)), false);
+  assert.equal(data.chat.some(m => m.roomId === room), false);
+  assert.equal(JSON.stringify(data.chat).includes(dee.id), false);
+  const msg = data.chat.find(m => m.id === said.body.message.id);
+  assert.equal(msg.text, '');
+  assert.equal(msg.memberId, 'erased');
+  assert.ok(msg.deletedAt);
+});
+
+test('a socket handler that fails still answers its ack', async () => {
+  const a = await open(ann.token);
+  const { db } = t.snoot;
+  const write = db.write;
+  db.write = () => Promise.reject(new Error('disk full'));
+  try {
+    const ack = await emit(a, 'chat:read', { roomId: 'general' });
+    assert.deepEqual(ack, { ok: false, error: 'internal error' });
+  } finally {
+    db.write = write;
+  }
+});
+
+test('stopping the chat notifier drops pending pushes', async () => {
+  const sent = [];
+  const member = { id: 'm1', status: 'approved', expoTokens: ['ExponentPushToken[m1]'] };
+  const notifier = createChatNotifier({
+    db: { read: async () => {}, data: { members: [member] } },
+    chat: { readers: () => [member], lastRead: () => 0 },
+    push: { send: async (...args) => { sent.push(args); } },
+    isOnline: () => false,
+    batchMs: 20,
+  });
+  notifier.start();
+  notifier.onMessage({ id: 'x', memberId: 'm2', name: 'Ann', text: 'hi', ts: Date.now() }, { id: 'dm:m1:m2', kind: 'dm' });
+  notifier.stop();
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,158 @@
+// test/helpers.js
+// A real server (server-app.js) on a free port with a temp DATA_DIR, and
+// stand-ins for Twilio and Expo that record what would have been sent.
+// Background schedulers are off (interval env vars = 0); the outbox still
+// sends right after anything is queued, so tests wait for it with waitFor().
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSnootServer } from '../server-app.js';
+import { validate } from '../server-api.js';
+
+export const ADMIN_PIN = '123456';
+export const CRON_SECRET = 'test-cron-secret';
+
+/** Records SMS as Twilio's messages.create would send them. */
+export function fakeTwilio() {
+  const sent = [];
+  return {
+    sent,
+    messages: {
+      async create(msg) {
+        const sid = `SM${sent.length + 1}`;
+        sent.push({ ...msg, sid });
+        return { sid };
+      },
+    },
+  };
+}
+
+/** Records push messages; every ticket and receipt comes back ok. */
+export function fakeExpo() {
+  const sent = [];
+  return {
+    sent,
+    chunkPushNotifications: (messages) => (messages.length ? [messages] : []),
+    async sendPushNotificationsAsync(chunk) {
+      return chunk.map(msg => {
+        sent.push(msg);
+        return { status: 'ok', id: `ticket-${sent.length}` };
+      });
+    },
+    chunkPushNotificationReceiptIds: (ids) => (ids.length ? [ids] : []),
+    async getPushNotificationReceiptsAsync(ids) {
+      return Object.fromEntries(ids.map(id => [id, { status: 'ok' }]));
+    },
+  };
+}
+
+/**
+ * Start a server for one test file. Call close() when done.
+ * @param {{ env?: Record<string, string> }} [opts] extra/overriding settings
+ */
+export async function startServer({ env = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snoot-test-'));
+  const sms = fakeTwilio();
+  const push = fakeExpo();
+  const snoot = await createSnootServer({
+    dataDir,
+    twilioClient: sms,
+    expo: push,
+    env: {
+      ADMIN_PIN, CRON_SECRET,
+      TWILIO_FROM: '+15550000000',
+      OUTBOX_INTERVAL_MS: '0',
+      REMINDER_INTERVAL_MS: '0',
+      ANNOUNCEMENT_INTERVAL_MS: '0',
+      BACKUP_INTERVAL_HOURS: '0',
+      MAIL_TRANSPORT: 'file',
+      ...env,
+    },
+  });
+  const port = await snoot.listen(0);
+  const url = `http://127.0.0.1:${port}`;
+
+  /**
+   * JSON request. `token` sends a Bearer header, `pin: true` the admin PIN.
+   * Every JSON response is checked against the route's declared schema (see checkContract).
+   * @returns {Promise<{ status: number, body: any }>}
+   */
+  async function request(method, urlPath, { body, token, pin } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (pin) headers['x-admin-pin'] = ADMIN_PIN;
+    const res = await fetch(url + urlPath, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const type = res.headers.get('content-type') || '';
+    const reply = { status: res.status, body: type.includes('json') ? await res.json() : await res.text() };
+    if (type.includes('json')) checkContract(snoot.api.document(), method, urlPath, reply);
+    return reply;
+  }
+
+  return {
+    url, dataDir, snoot, sms, push, request,
+    async close() {
+      await snoot.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// '/members/{id}/approve' -> /^\/members\/[^/]+\/approve$/; literal paths sort first
+function operationFor(doc, method, urlPath) {
+  const pathname = urlPath.split('?')[0];
+  const candidates = Object.keys(doc.paths)
+    .filter(p => doc.paths[p][method.toLowerCase()])
+    .sort((a, b) => (a.match(/{/g) || []).length - (b.match(/{/g) || []).length);
+  const template = candidates.find(p => new RegExp(`^${p.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`).test(pathname));
+  return template && doc.paths[template][method.toLowerCase()];
+}
+
+/**
+ * Throw unless a JSON response matches what the OpenAPI document promises:
+ * 200s against the route's response schema (no undeclared fields), errors
+ * against the shared Error schema.
+ */
+export function checkContract(doc, method, urlPath, { status, body }) {
+  const op = operationFor(doc, method, urlPath);
+  if (!op) return; // hidden routes (the OpenAPI document itself)
+  const declared = status === 200 ? op.responses[200].content?.['application/json']?.schema : { $ref: '#/components/schemas/Error' };
+  if (!declared) return;
+  const errors = validate(declared, body, { in: 'response', components: doc.components.schemas, strict: status === 200 });
+  if (errors.length) {
+    throw new Error(`${method} ${urlPath} (${status}) doesn't match its schema: ${errors.slice(0, 5).map(e => e.message).join('; ')}`);
+  }
+}
+
+/** Poll until `check()` returns something truthy (the outbox sends asynchronously). */
+export async function waitFor(check, { timeoutMs = 2000, what = 'condition' } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Register a phone number, approve it with the admin PIN and log in with the
+ * code from the fake SMS. Returns the member id and access token.
+ */
+export async function signUp(t, phone, name, { expoToken } = {}) {
+  const reg = await t.request('POST', '/register', { body: { phone, name, ...(expoToken ? { expoToken } : {}) } });
+  await t.request('POST', `/members/${reg.body.memberId}/approve`, { pin: true });
+  const code = await requestCode(t, phone);
+  const login = await t.request('POST', '/auth/verify-code', { body: { phone, code } });
+  return { id: reg.body.memberId, token: login.body.token };
+}
+
+/** Ask for a login code and read it back from the fake SMS. */
+export async function requestCode(t, phone) {
+  const before = t.sms.sent.length;
+  const r = await t.request('POST', '/auth/request-code', { body: { phone } });
+  if (r.status !== 200) throw new Error(`request-code failed: ${r.status} ${JSON.stringify(r.body)}`);
+  const msg = t.sms.sent.slice(before).find(m => m.to.endsWith(phone.replace(/\D/g, '')));
+  return msg?.body.match(/\d{6}/)?.[0];
+}
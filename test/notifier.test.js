@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import twilio from 'twilio';
+import { startServer, waitFor } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+
+async function approvedMember(t, phone, name, extra = {}) {
+  const reg = await t.request('POST', '/register', { body: { phone, name, ...extra } });
+  await t.request('POST', `/members/${reg.body.memberId}/approve`, { pin: true });
+  return reg.body.memberId;
+}
+
+test('the file provider writes codes and pushes to DATA_DIR/dev-outbox.jsonl, never to the response', async (ctx) => {
+  const t = await startServer({ env: { SMS_PROVIDER: 'file', PUSH_PROVIDER: 'file', OTP_DEMO_CODE: 'on' } });
+  ctx.after(() => t.close());
+  const outboxFile = path.join(t.dataDir, 'dev-outbox.jsonl');
+  const entries = () => (fs.existsSync(outboxFile) ? fs.readFileSync(outboxFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : []);
+
+  await approvedMember(t, '5554010001', 'Fay', { expoToken: 'ExponentPushToken[fay]' });
+  const r = await t.request('POST', '/auth/request-code', { body: { phone: '5554010001' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.sent, true);
+  assert.equal(r.body.demoCode, undefined);
+  assert.equal(t.sms.sent.length, 0); // Twilio is configured but not selected
+
+  const sms = entries().find(e => e.channel === 'sms' && e.to === '+15554010001');
+  const code = sms.body.match(/\d{6}/)[0];
+  const login = await t.request('POST', '/auth/verify-code', { body: { phone: '5554010001', code } });
+  assert.equal(login.status, 200);
+
+  await t.request('POST', '/meetings', {
+    pin: true,
+    body: { title: 'Beach day', location: 'Pier', startsAt: new Date(Date.now() + 7 * 24 * HOUR).toISOString(), sendSms: false },
+  });
+  const note = await waitFor(() => entries().find(e => e.channel === 'push'), { what: 'meeting push' });
+  assert.deepEqual(note.to, ['ExponentPushToken[fay]']);
+  assert.match(note.body, /Beach day/);
+  assert.equal(t.push.sent.length, 0);
+});
+
+test('the webhook provider relays texts as JSON with a Bearer token', async (ctx) => {
+  const received = [];
+  let status = 200;
+  const hook = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      received.push({ auth: req.headers.authorization, body: JSON.parse(raw) });
+      res.writeHead(status, { 'content-type': 'application/json' }).end(JSON.stringify({ id: `relay-${received.length}` }));
+    });
+  });
+  await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+  ctx.after(() => new Promise(resolve => hook.close(resolve)));
+
+  const t = await startServer({ env: {
+    SMS_PROVIDER: 'webhook', PUSH_PROVIDER: 'none',
+    NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${hook.address().port}/notify`, NOTIFY_WEBHOOK_TOKEN: 'hook-secret',
+  } });
+  ctx.after(() => t.close());
+
+  await approvedMember(t, '5554010002', 'Gus');
+  const r = await t.request('POST', '/auth/request-code', { body: { phone: '5554010002' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.sent, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].auth, 'Bearer hook-secret');
+  assert.equal(received[0].body.channel, 'sms');
+  assert.equal(received[0].body.to, '+15554010002');
+  assert.match(received[0].body.body, /\d{6}/);
+
+  // A relay that refuses the message: no code, and no demo code either
+  status = 400;
+  await approvedMember(t, '5554010003', 'Hal');
+  const refused = await t.request('POST', '/auth/request-code', { body: { phone: '5554010003' } });
+  assert.equal(refused.status, 503);
+});
+
+test('with no SMS provider the code is only returned in explicit dev mode', async (ctx) => {
+  const servers = {
+    default: await startServer({ env: { SMS_PROVIDER: 'none' } }),
+    dev: await startServer({ env: { SMS_PROVIDER: 'none', OTP_DEMO_CODE: 'on' } }),
+    production: await startServer({ env: { SMS_PROVIDER: 'none', OTP_DEMO_CODE: 'on', NODE_ENV: 'production' } }),
+  };
+  ctx.after(() => Promise.all(Object.values(servers).map(t => t.close())));
+
+  const ask = async (t) => {
+    await approvedMember(t, '5554010004', 'Ivy');
+    return t.request('POST', '/auth/request-code', { body: { phone: '5554010004' } });
+  };
+  const dev = await ask(servers.dev);
+  assert.equal(dev.status, 200);
+  assert.equal(dev.body.sent, false);
+  assert.match(dev.body.demoCode, /^\d{6}$/);
+
+  for (const t of [servers.default, servers.production]) {
+    const r = await ask(t);
+    assert.equal(r.status, 503);
+    assert.equal(r.body.demoCode, undefined);
+  }
+});
+
+test('Twilio webhooks are refused unless signed with TWILIO_AUTH_TOKEN', async (ctx) => {
+  const post = (t, urlPath, params, signature) => fetch(t.url + urlPath, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...(signature ? { 'x-twilio-signature': signature } : {}) },
+    body: new URLSearchParams(params),
+  });
+  const stop = { From: '+15554010005', Body: 'STOP' };
+
+  // Webhook/console providers run without a Twilio token: nothing can be verified
+  const unsigned = await startServer({ env: { SMS_PROVIDER: 'console' } });
+  ctx.after(() => unsigned.close());
+  assert.equal((await post(unsigned, '/twilio/inbound', stop)).status, 403);
+  assert.equal((await post(unsigned, '/twilio/status', { MessageSid: 'SM1', MessageStatus: 'delivered' })).status, 403);
+
+  const t = await startServer({ env: { TWILIO_AUTH_TOKEN: 'twilio-test-token' } });
+  ctx.after(() => t.close());
+  const memberId = await approvedMember(t, '5554010005', 'Jo');
+  assert.equal((await post(t, '/twilio/inbound', stop, 'forged')).status, 403);
+  const signature = twilio.getExpectedTwilioSignature('twilio-test-token', `${t.url}/twilio/inbound`, stop);
+  const r = await post(t, '/twilio/inbound', stop, signature);
+  assert.equal(r.status, 200);
+  assert.match(await r.text(), /unsubscribed/);
+  await t.snoot.db.read();
+  assert.ok(t.snoot.db.data.members.find(m => m.id === memberId).smsOptOut);
+});